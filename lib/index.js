@@ -9,7 +9,20 @@ const LOG_LEVELS = { DEBUG: 0, INFO: 1, WARN: 2, ERROR: 3 };
 const Config = {
     LOG_LEVEL: Object.keys(LOG_LEVELS).includes(process.env.LOG_LEVEL?.toUpperCase())
         ? process.env.LOG_LEVEL.toUpperCase()
-        : "ERROR"
+        : "ERROR",
+    // JSON 路径输出形式："function" => JSON_UNQUOTE(JSON_EXTRACT(col, '$.a'))，"arrow" => col->>'$.a'
+    JSON_PATH_STYLE: "function",
+    // NULL 语义："mongo" => $ne / $nin 同时匹配 NULL 与缺失字段；"sql" => 严格的 SQL 三值逻辑
+    NULL_SEMANTICS: "mongo",
+    // 是否将 /^abc/ 这类锚定前缀正则改写为可走索引的 LIKE 'abc%'
+    REGEX_PREFIX_TO_LIKE: false
+};
+
+// 取值受限的配置项，configure 时校验
+const CONFIG_VALUES = {
+    JSON_PATH_STYLE: ["function", "arrow"],
+    NULL_SEMANTICS: ["mongo", "sql"],
+    REGEX_PREFIX_TO_LIKE: [true, false]
 };
 
 // 如果配置中的日志级别无效，默认使用 ERROR
@@ -34,6 +47,27 @@ const Logger = {
     }
 };
 
+/**
+ * 修改全局配置，例如 configure({ JSON_PATH_STYLE: "arrow" })
+ */
+function configure(options = {}) {
+    for (let key in options) {
+        if (!Object.prototype.hasOwnProperty.call(Config, key)) {
+            throw new Error(`Unknown config option "${key}"`);
+        }
+        if (CONFIG_VALUES[key] && !CONFIG_VALUES[key].includes(options[key])) {
+            throw new Error(`Invalid value ${JSON.stringify(options[key])} for config option "${key}", expected one of ${JSON.stringify(CONFIG_VALUES[key])}`);
+        }
+    }
+    for (let key in options) {
+        Config[key] = options[key];
+    }
+    if (options.LOG_LEVEL !== undefined) {
+        Logger.setLevel(String(options.LOG_LEVEL).toUpperCase());
+    }
+    return Config;
+}
+
 /**
  * 简单日志封装函数
  */
@@ -100,13 +134,1283 @@ class OperatorPlugin {
         this.operator = operator;
         this.handler = handler;
     }
-    apply(field, opValue, conditions, params, context) {
-        this.handler(field, opValue, conditions, params, context);
+    apply(field, opValue, conditions, params, context, options) {
+        this.handler(field, opValue, conditions, params, context, options);
+    }
+}
+
+/**
+ * 注册自定义操作符。handler(field, opValue, conditions, params, context, options) 中 field 为查询中的原始字段名，
+ * 编译后的列表达式（已加反引号，JSON 路径为取值表达式）为 options.fieldSQL
+ */
+function registerOperatorPlugin(operator, handler) {
+    OperatorPlugins.push(new OperatorPlugin(operator, handler));
+}
+
+/* ============================================================
+   标识符校验与引用（表名、字段名、别名）
+============================================================ */
+// 仅允许字母（含 Unicode）、数字、下划线、$ 与 -（引用后合法），长度不超过 MySQL 上限 64
+const IDENTIFIER_PATTERN = /^[\p{L}\p{N}_$-]+$/u;
+const MAX_IDENTIFIER_LENGTH = 64;
+const JOIN_TYPES = ["JOIN", "INNER JOIN", "LEFT JOIN", "RIGHT JOIN", "LEFT OUTER JOIN", "RIGHT OUTER JOIN", "CROSS JOIN"];
+
+/**
+ * 校验单个标识符，非法时抛出 QueryParseError
+ * @param {string} name
+ * @param {string} context
+ * @returns {string}
+ */
+function assertIdentifier(name, context = "identifier") {
+    if (typeof name !== "string" || name.length === 0 || name.length > MAX_IDENTIFIER_LENGTH || !IDENTIFIER_PATTERN.test(name)) {
+        handleError(`非法的标识符: ${JSON.stringify(name)}`, context, QueryParseError);
+    }
+    return name;
+}
+
+/**
+ * 使用反引号引用单个标识符，例如 order -> `order`
+ */
+function quoteIdentifier(name, context = "identifier") {
+    return "`" + assertIdentifier(name, context) + "`";
+}
+
+/**
+ * 引用带限定前缀的标识符，例如 users.id -> `users`.`id`、db.users.id -> `db`.`users`.`id`
+ * allowWildcard 为 true 时允许最后一段为 *（如 users.*）
+ */
+function quoteQualifiedIdentifier(path, context = "identifier", allowWildcard = false) {
+    if (typeof path !== "string") {
+        handleError(`非法的标识符: ${JSON.stringify(path)}`, context, QueryParseError);
+    }
+    const parts = path.split(".");
+    if (parts.length > 3) {
+        handleError(`标识符层级过深: ${JSON.stringify(path)}`, context, QueryParseError);
+    }
+    return parts.map((part, idx) => {
+        if (allowWildcard && part === "*" && idx === parts.length - 1) {
+            return "*";
+        }
+        return quoteIdentifier(part, context);
+    }).join(".");
+}
+
+/**
+ * 将字符串转为 SQL 字面量，用于无法使用占位符的位置（如 SELECT 中的常量）
+ */
+function quoteLiteral(value) {
+    if (value === null || value === undefined) return "NULL";
+    if (typeof value === "number" && Number.isFinite(value)) return String(value);
+    if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+    return "'" + String(value).replace(/\\/g, "\\\\").replace(/'/g, "''") + "'";
+}
+
+/**
+ * 解析字符串形式的排序，例如 "orders.createdAt DESC, id"
+ */
+function parseSortString(sortStr, context = "ORDER BY") {
+    return sortStr.split(",").map(part => {
+        const match = part.trim().match(/^([\p{L}\p{N}_$.-]+)(?:\s+(ASC|DESC))?$/iu);
+        if (!match) {
+            handleError(`非法的排序表达式: ${JSON.stringify(part.trim())}`, context, QueryParseError);
+        }
+        const direction = match[2] ? match[2].toUpperCase() : "ASC";
+        return `${quoteQualifiedIdentifier(match[1], context)} ${direction}`;
+    }).join(", ");
+}
+
+const SORT_DIRECTIONS = { "1": "ASC", "-1": "DESC", asc: "ASC", ascending: "ASC", desc: "DESC", descending: "DESC" };
+
+function normalizeSortDirection(direction, key, context) {
+    const normalized = SORT_DIRECTIONS[typeof direction === "string" ? direction.toLowerCase() : String(direction)];
+    if (!normalized || (typeof direction !== "number" && typeof direction !== "string")) {
+        handleError(`非法的排序方向: ${JSON.stringify(direction)}，字段 "${key}"`, context, QueryParseError);
+    }
+    return normalized;
+}
+
+/**
+ * 单个排序键对应的 ORDER BY 项 [表达式, 方向]：JSON 路径按 JSON 值排序，并与 Mongo 一致将 null / 缺失值
+ * 排在升序最前、降序最后（普通列的 NULL 在 MySQL 中本就按此顺序排列，无需额外处理）
+ */
+function sortKeyTerms(key, direction, params, options, context) {
+    if (isTextScoreMeta(direction)) {
+        return [[textScoreSQL(direction, params, options, context), "DESC"]];
+    }
+    const sqlDirection = normalizeSortDirection(direction, key, context);
+    const fieldInfo = resolveField(key, options, context);
+    if (fieldInfo.isJson && fieldInfo.path) {
+        const raw = jsonExtractSQL(fieldInfo, false);
+        return [[nullCheckSQL(raw, fieldInfo), sqlDirection === "ASC" ? "DESC" : "ASC"], [raw, sqlDirection]];
+    }
+    return [[fieldInfo.sql, sqlDirection]];
+}
+
+function buildSortKey(key, direction, params, options, context) {
+    return sortKeyTerms(key, direction, params, options, context).map(([sql, dir]) => `${sql} ${dir}`).join(", ");
+}
+
+/**
+ * 生成 ORDER BY 片段，支持：
+ * - 字符串形式 "orders.createdAt DESC, id"（向后兼容）
+ * - Mongo 排序文档 { age: -1, name: 1 }
+ * - [field, direction] 数组 [["age", -1], ["name", "asc"]]
+ * 文档与数组形式中的 { $meta: "textScore" } 按相关度降序（需传入 params 与解析选项）
+ */
+function buildOrderByClause(sortSpec, context = "ORDER BY", params = [], options = {}) {
+    if (!sortSpec) return "";
+    if (typeof sortSpec === "string") {
+        return parseSortString(sortSpec, context);
+    }
+    let entries;
+    if (Array.isArray(sortSpec)) {
+        entries = sortSpec.map(pair => {
+            if (!Array.isArray(pair) || pair.length !== 2 || typeof pair[0] !== "string") {
+                handleError(`排序数组的元素必须为 [field, direction]: ${JSON.stringify(pair)}`, context, QueryParseError);
+            }
+            return pair;
+        });
+    } else if (typeof sortSpec === "object") {
+        entries = Object.entries(sortSpec);
+    } else {
+        handleError("排序参数必须为字符串、对象或 [field, direction] 数组", context, QueryParseError);
+    }
+    return entries.map(([key, direction]) => buildSortKey(key, direction, params, options, context)).join(", ");
+}
+
+/**
+ * 解析 JOIN 的 ON 条件，仅允许「标识符 比较符 标识符」并以 AND 连接，
+ * 也支持对象形式 { 'users.id': 'orders.user_id' }
+ */
+function parseJoinOn(on, context = "JOIN") {
+    if (on && typeof on === "object" && !Array.isArray(on)) {
+        const parts = Object.keys(on).map(left =>
+            `${quoteQualifiedIdentifier(left, context)} = ${quoteQualifiedIdentifier(on[left], context)}`
+        );
+        if (parts.length === 0) {
+            handleError("JOIN 的 ON 条件不能为空", context, QueryParseError);
+        }
+        return parts.join(" AND ");
+    }
+    if (typeof on !== "string" || !on.trim()) {
+        handleError("JOIN 的 ON 条件不能为空", context, QueryParseError);
+    }
+    return on.split(/\s+AND\s+/i).map(part => {
+        const match = part.trim().match(/^([\p{L}\p{N}_$.-]+)\s*(=|<>|!=|<=|>=|<|>)\s*([\p{L}\p{N}_$.-]+)$/u);
+        if (!match) {
+            handleError(`非法的 JOIN ON 条件: ${JSON.stringify(part.trim())}`, context, QueryParseError);
+        }
+        return `${quoteQualifiedIdentifier(match[1], context)} ${match[2]} ${quoteQualifiedIdentifier(match[3], context)}`;
+    }).join(" AND ");
+}
+
+/**
+ * 校验 JOIN 类型，未指定时默认为 INNER JOIN
+ */
+function normalizeJoinType(joinType, context = "JOIN") {
+    const normalized = (joinType || "INNER JOIN").trim().replace(/\s+/g, " ").toUpperCase();
+    if (!JOIN_TYPES.includes(normalized)) {
+        handleError(`不支持的 JOIN 类型: ${JSON.stringify(joinType)}`, context, QueryParseError);
+    }
+    return normalized;
+}
+
+/* ============================================================
+   表结构声明：JSON 列等字段类型
+============================================================ */
+const TableSchemas = {};
+
+/**
+ * 注册表结构，用于识别 JSON 列等特殊字段
+ * 例：registerTableSchema('users', { columns: { address: 'json' } })
+ *     registerTableSchema('orders', { jsonColumns: ['items', 'meta'] })
+ *     registerTableSchema('products', { textColumns: ['name', 'description'] })  // 需有对应的 FULLTEXT 索引
+ *     registerTableSchema('posts', { arrayColumns: ['tags'] })  // JSON 数组列，等值与 $in 按元素匹配
+ *     registerTableSchema('shops', { primaryKey: 'id', uniqueKeys: ['code'] })  // 计数时可省略以唯一键关联的 LEFT JOIN
+ * @param {string} tableName
+ * @param {{columns?: Object, jsonColumns?: string[], arrayColumns?: string[], textColumns?: string[],
+ *          primaryKey?: string, uniqueKeys?: Array<string | string[]>}} schema
+ */
+function registerTableSchema(tableName, schema = {}) {
+    assertIdentifier(tableName, "registerTableSchema");
+    const columns = {};
+    for (let name in (schema.columns || {})) {
+        const def = schema.columns[name];
+        columns[assertIdentifier(name, "registerTableSchema")] = typeof def === "string" ? { type: def } : { ...def };
+    }
+    (schema.jsonColumns || []).forEach(name => {
+        columns[assertIdentifier(name, "registerTableSchema")] = { ...(columns[name] || {}), type: "json" };
+    });
+    (schema.arrayColumns || []).forEach(name => {
+        columns[assertIdentifier(name, "registerTableSchema")] = { ...(columns[name] || {}), type: "json", array: true };
+    });
+    (schema.textColumns || []).forEach(name => assertIdentifier(name, "registerTableSchema"));
+    // 主键 / 唯一键（唯一键可为复合列数组），用于判断 JOIN 是否至多匹配一行
+    [schema.primaryKey, ...(schema.uniqueKeys || [])].filter(Boolean)
+        .forEach(key => [].concat(key).forEach(name => assertIdentifier(name, "registerTableSchema")));
+    TableSchemas[tableName] = { ...schema, columns };
+    Logger.debug("注册表结构:", tableName, TableSchemas[tableName]);
+}
+
+function getColumnDefinition(tableName, column) {
+    const schema = TableSchemas[tableName];
+    return schema && schema.columns[column] ? schema.columns[column] : null;
+}
+
+function isJsonColumn(tableName, column) {
+    const def = getColumnDefinition(tableName, column);
+    return !!def && def.type === "json";
+}
+
+/**
+ * 构造解析选项：主表与 JOIN 别名到真实表名的映射；
+ * collected 记录解析过程中产生、供 SELECT / ORDER BY 复用的信息（$text 检索、$near 距离）
+ */
+function buildParseOptions(tableName, joinConfigs = []) {
+    const tables = {};
+    if (tableName) tables[tableName] = tableName;
+    joinConfigs.forEach(join => {
+        tables[join.alias || join.tableName] = join.tableName;
+    });
+    return { tableName, tables, collected: {} };
+}
+
+/**
+ * 将点号路径的剩余部分转为 JSON 路径，例如 ['items', '0', 'sku'] -> $.items[0].sku
+ */
+function toJsonPath(segments, context) {
+    return "$" + segments.map(segment => {
+        if (/^\d+$/.test(segment)) return `[${segment}]`;
+        if (/^[A-Za-z_$][\w$]*$/.test(segment)) return `.${segment}`;
+        if (!segment || /["\\]/.test(segment)) {
+            handleError(`非法的 JSON 路径片段: ${JSON.stringify(segment)}`, context, QueryParseError);
+        }
+        return `."${segment}"`;
+    }).join("");
+}
+
+/**
+ * 解析字段引用：普通列、table.column，或声明为 JSON 列的点号路径
+ * @returns {{sql: string, isJson: boolean, column?: string, path?: string}}
+ */
+function resolveField(key, options = {}, context = "field") {
+    const parts = key.split(".");
+    const tables = options.tables || {};
+    // $elemMatch 内部：字段均相对于当前数组元素
+    if (options.elementColumn) {
+        return { name: key, sql: options.elementColumn, isJson: true, column: options.elementColumn, path: toJsonPath(parts, context) };
+    }
+    // 投影之后已不存在的字段：按缺失处理，条件与 NULL 比较
+    if (options.missingFields && options.missingFields.some(field => key === field || key.startsWith(field + "."))) {
+        return { name: key, sql: "NULL", isJson: false, isArray: false };
+    }
+    if (parts.length > 1) {
+        // alias.jsonColumn.path
+        if (parts.length > 2 && tables[parts[0]] && isJsonColumn(tables[parts[0]], parts[1])) {
+            return {
+                name: key,
+                sql: quoteQualifiedIdentifier(parts.slice(0, 2).join("."), context),
+                isJson: true,
+                column: `${quoteIdentifier(parts[0], context)}.${quoteIdentifier(parts[1], context)}`,
+                path: toJsonPath(parts.slice(2), context)
+            };
+        }
+        // jsonColumn.path（主表）
+        if (!tables[parts[0]] && options.tableName && isJsonColumn(options.tableName, parts[0])) {
+            return {
+                name: key,
+                sql: quoteIdentifier(parts[0], context),
+                isJson: true,
+                column: quoteIdentifier(parts[0], context),
+                path: toJsonPath(parts.slice(1), context)
+            };
+        }
+    }
+    // 主表列或 alias.column：按主表 / 关联表注册的表结构识别 JSON 列与数组列
+    const table = parts.length === 1 ? options.tableName : (parts.length === 2 ? tables[parts[0]] : undefined);
+    const column = !!table && isJsonColumn(table, parts[parts.length - 1]);
+    const definition = table ? getColumnDefinition(table, parts[parts.length - 1]) : null;
+    return {
+        name: key,
+        sql: quoteQualifiedIdentifier(key, context),
+        isJson: column,
+        isArray: column && !!definition.array,
+        column: column ? quoteQualifiedIdentifier(key, context) : undefined,
+        definition
+    };
+}
+
+/**
+ * JSON 路径取值表达式；unquote 为 true 时返回去引号后的标量
+ */
+function jsonExtractSQL(fieldInfo, unquote) {
+    const path = quoteLiteral(fieldInfo.path);
+    if (Config.JSON_PATH_STYLE === "arrow") {
+        return `${fieldInfo.column}${unquote ? "->>" : "->"}${path}`;
+    }
+    const extract = `JSON_EXTRACT(${fieldInfo.column}, ${path})`;
+    return unquote ? `JSON_UNQUOTE(${extract})` : extract;
+}
+
+// 这些操作符需要原始 JSON 值，而不是去引号后的标量
+const RAW_JSON_OPERATORS = ["$exists", "$size", "$all", "$elemMatch", "$type"];
+
+/**
+ * 根据操作符和操作数类型生成字段表达式：
+ * 数值比较使用 JSON_EXTRACT（按 JSON 数值比较），字符串使用 JSON_UNQUOTE，
+ * 布尔值转换为 'true' / 'false' 与去引号结果比较
+ * @returns {{field: string, operand: *}}
+ */
+function fieldForOperand(fieldInfo, operator, operand) {
+    if (!fieldInfo.isJson || !fieldInfo.path) {
+        return { field: fieldInfo.sql, operand };
+    }
+    if (RAW_JSON_OPERATORS.includes(operator)) {
+        return { field: jsonExtractSQL(fieldInfo, false), operand };
+    }
+    const values = (Array.isArray(operand) ? operand : [operand]).filter(v => v !== null && v !== undefined);
+    if (values.length > 0 && values.every(v => typeof v === "number")) {
+        return { field: jsonExtractSQL(fieldInfo, false), operand };
+    }
+    const toScalar = v => (typeof v === "boolean" ? String(v) : v);
+    return {
+        field: jsonExtractSQL(fieldInfo, true),
+        operand: Array.isArray(operand) ? operand.map(toScalar) : toScalar(operand)
+    };
+}
+
+/**
+ * NULL / 缺失字段判断；JSON 路径同时识别缺失路径与 JSON null
+ */
+function nullCheckSQL(field, fieldInfo, negate = false) {
+    if (fieldInfo && fieldInfo.isJson && fieldInfo.path) {
+        const raw = jsonExtractSQL(fieldInfo, false);
+        return negate
+            ? `(${raw} IS NOT NULL AND JSON_TYPE(${raw}) <> 'NULL')`
+            : `(${raw} IS NULL OR JSON_TYPE(${raw}) = 'NULL')`;
+    }
+    return `${field} ${negate ? "IS NOT NULL" : "IS NULL"}`;
+}
+
+function useMongoNullSemantics() {
+    return Config.NULL_SEMANTICS !== "sql";
+}
+
+/* ============================================================
+   位运算与取模：$bitsAllSet / $bitsAnySet / $bitsAllClear / $bitsAnyClear / $mod
+============================================================ */
+const BIT_OPERATORS = {
+    $bitsAllSet: "= ?",
+    $bitsAnySet: "<> 0",
+    $bitsAllClear: "= 0",
+    $bitsAnyClear: "<> ?"
+};
+
+/**
+ * 位掩码：非负整数，或位序号数组（[0, 3] -> 0b1001）；超出安全整数范围时以字符串绑定
+ */
+function normalizeBitmask(value, operator, context) {
+    let mask;
+    if (Array.isArray(value)) {
+        if (value.some(pos => !Number.isInteger(pos) || pos < 0 || pos > 63)) {
+            handleError(`${operator} 的位序号必须为 0-63 的整数: ${JSON.stringify(value)}`, context, QueryParseError);
+        }
+        mask = value.reduce((acc, pos) => acc | (1n << BigInt(pos)), 0n);
+    } else if (Number.isInteger(value) && value >= 0) {
+        mask = BigInt(value);
+    } else {
+        handleError(`${operator} 需要非负整数掩码或位序号数组: ${JSON.stringify(value)}`, context, QueryParseError);
+    }
+    return mask <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(mask) : mask.toString();
+}
+
+function buildBitsCondition(field, operator, value, params, context) {
+    const mask = normalizeBitmask(value, operator, context);
+    const comparison = BIT_OPERATORS[operator];
+    params.push(mask);
+    if (comparison.includes("?")) {
+        params.push(mask);
+    }
+    return `(${field} & ?) ${comparison}`;
+}
+
+function buildModCondition(field, value, params, context) {
+    if (!Array.isArray(value) || value.length !== 2 || !value.every(n => typeof n === "number" && Number.isFinite(n))) {
+        handleError(`$mod 需要 [除数, 余数]: ${JSON.stringify(value)}`, context, QueryParseError);
+    }
+    if (Math.trunc(value[0]) === 0) {
+        handleError("$mod 的除数不能为 0", context, QueryParseError);
+    }
+    // 与 MongoDB 一致，小数向零截断
+    params.push(Math.trunc(value[0]), Math.trunc(value[1]));
+    return `MOD(${field}, ?) = ?`;
+}
+
+/* ============================================================
+   $type：BSON 类型判断
+============================================================ */
+const BSON_TYPE_CODES = {
+    1: "double", 2: "string", 3: "object", 4: "array", 5: "binData", 6: "undefined", 7: "objectId",
+    8: "bool", 9: "date", 10: "null", 11: "regex", 12: "dbPointer", 13: "javascript", 14: "symbol",
+    15: "javascriptWithScope", 16: "int", 17: "timestamp", 18: "long", 19: "decimal", "-1": "minKey", 127: "maxKey"
+};
+
+// BSON 类型 -> JSON_TYPE() 返回值；JSON 中 int 与 long 无法区分，均视为整数
+const BSON_TO_JSON_TYPES = {
+    double: ["DOUBLE"],
+    string: ["STRING"],
+    object: ["OBJECT"],
+    array: ["ARRAY"],
+    binData: ["BLOB"],
+    bool: ["BOOLEAN"],
+    date: ["DATE", "DATETIME"],
+    null: ["NULL"],
+    int: ["INTEGER", "UNSIGNED INTEGER"],
+    long: ["INTEGER", "UNSIGNED INTEGER"],
+    decimal: ["DECIMAL"],
+    number: ["INTEGER", "UNSIGNED INTEGER", "DOUBLE", "DECIMAL"]
+};
+
+// 已声明列类型（registerTableSchema 的 columns）-> BSON 类型
+const SQL_TO_BSON_TYPES = [
+    [/^(tinyint\(1\)|bool|boolean)$/, ["bool"]],
+    [/^bigint/, ["long", "number"]],
+    [/^(tinyint|smallint|mediumint|int|integer)/, ["int", "number"]],
+    [/^(float|double|real)/, ["double", "number"]],
+    [/^(decimal|numeric)/, ["decimal", "number"]],
+    [/^(char|varchar|tinytext|text|mediumtext|longtext|enum|set)/, ["string"]],
+    [/^(date|datetime|timestamp)/, ["date"]],
+    [/^(binary|varbinary|tinyblob|blob|mediumblob|longblob)/, ["binData"]]
+];
+
+const INTEGER_PATTERN = "^[+-]?[0-9]+$";
+const NUMERIC_PATTERN = "^[+-]?([0-9]+[.]?[0-9]*|[.][0-9]+)([eE][+-]?[0-9]+)?$";
+
+function normalizeBsonType(type, context) {
+    const alias = typeof type === "number" ? BSON_TYPE_CODES[type] : type;
+    if (typeof alias !== "string" || (!Object.values(BSON_TYPE_CODES).includes(alias) && alias !== "number")) {
+        handleError(`未知的 $type: ${JSON.stringify(type)}`, context, QueryParseError);
+    }
+    return alias;
+}
+
+/**
+ * 普通列的类型判断：已声明列类型时静态判断，否则仅支持 null、数值与字符串的按值判断
+ */
+function scalarTypeCondition(field, alias, definition, context) {
+    if (alias === "null") {
+        return `${field} IS NULL`;
+    }
+    const declared = definition && definition.type ? definition.type.toLowerCase() : null;
+    if (declared) {
+        const entry = SQL_TO_BSON_TYPES.find(([pattern]) => pattern.test(declared));
+        return entry && entry[1].includes(alias) ? `${field} IS NOT NULL` : "1=0";
+    }
+    switch (alias) {
+        case "number":
+            return `REGEXP_LIKE(${field}, ${quoteLiteral(NUMERIC_PATTERN)})`;
+        case "int":
+        case "long":
+            return `REGEXP_LIKE(${field}, ${quoteLiteral(INTEGER_PATTERN)})`;
+        case "string":
+            // 未声明类型时，将不能解析为数值的值视为字符串
+            return `NOT REGEXP_LIKE(${field}, ${quoteLiteral(NUMERIC_PATTERN)})`;
+        default:
+            handleError(`无法在未声明类型的列 ${field} 上区分 $type "${alias}"，请通过 registerTableSchema 声明列类型`, context, QueryParseError);
+    }
+}
+
+/**
+ * 生成 $type 条件，支持别名、数字代码与数组形式（任一类型匹配即可）
+ */
+function buildTypeCondition(field, typeSpec, fieldInfo, context) {
+    const types = (Array.isArray(typeSpec) ? typeSpec : [typeSpec]).map(type => normalizeBsonType(type, context));
+    if (types.length === 0) {
+        handleError("$type 不能为空数组", context, QueryParseError);
+    }
+    if (fieldInfo && fieldInfo.isJson) {
+        const jsonTypes = [];
+        types.forEach(alias => {
+            if (!BSON_TO_JSON_TYPES[alias]) {
+                handleError(`JSON 值无法区分 $type "${alias}"`, context, QueryParseError);
+            }
+            BSON_TO_JSON_TYPES[alias].forEach(t => { if (!jsonTypes.includes(t)) jsonTypes.push(t); });
+        });
+        return jsonTypes.length === 1
+            ? `JSON_TYPE(${field}) = ${quoteLiteral(jsonTypes[0])}`
+            : `JSON_TYPE(${field}) IN (${jsonTypes.map(quoteLiteral).join(", ")})`;
+    }
+    const parts = types.map(alias => scalarTypeCondition(field, alias, fieldInfo && fieldInfo.definition, context))
+        .filter((part, idx, all) => part !== "1=0" && all.indexOf(part) === idx);
+    if (parts.length === 0) return "1=0";
+    return parts.length === 1 ? parts[0] : `(${parts.join(" OR ")})`;
+}
+
+/* ============================================================
+   $elemMatch：通过 JSON_TABLE 展开数组元素
+============================================================ */
+const ELEM_MATCH_QUERY_OPERATORS = ["$and", "$or", "$nor", "$expr"];
+
+/**
+ * 编译 $elemMatch 的元素来源与条件：
+ * 子文档数组按字段条件匹配（{ qty: { $gt: 5 } }），标量数组按操作符匹配（{ $gte: 80, $lt: 85 }）；
+ * withOrdinality 为 true 时额外输出元素序号列 idx
+ * @returns {{alias: string, source: string, where: string}}
+ */
+function compileElemMatch(field, criteria, params, context, options = {}, withOrdinality = false) {
+    if (!criteria || typeof criteria !== "object" || Array.isArray(criteria) || Object.keys(criteria).length === 0) {
+        handleError(`$elemMatch 的值必须为非空对象，字段 ${field}`, context, QueryParseError);
+    }
+    const depth = options.elemMatchDepth || 0;
+    const alias = depth === 0 ? "e" : `e${depth}`;
+    const elementColumn = `${quoteIdentifier(alias)}.\`value\``;
+    const innerOptions = { ...options, fieldInfo: undefined, elementColumn, elemMatchDepth: depth + 1 };
+    const innerContext = `${context}->$elemMatch`;
+
+    const keys = Object.keys(criteria);
+    const operatorKeys = keys.filter(key => key.startsWith("$") && !ELEM_MATCH_QUERY_OPERATORS.includes(key));
+    let inner;
+    if (operatorKeys.length === keys.length) {
+        const elementInfo = { sql: elementColumn, isJson: true, column: elementColumn, path: "$" };
+        inner = parseFieldOperators(elementInfo, criteria, params, innerContext, innerOptions).join(" AND ");
+    } else if (operatorKeys.length === 0) {
+        inner = parseMongoQuery(criteria, params, innerContext, innerOptions);
+    } else {
+        handleError(`$elemMatch 不能同时包含字段条件与操作符 ${operatorKeys.join(", ")}`, context, QueryParseError);
+    }
+    const columns = `${withOrdinality ? "`idx` FOR ORDINALITY, " : ""}\`value\` JSON PATH '$'`;
+    return {
+        alias,
+        source: `JSON_TABLE(${field}, '$[*]' COLUMNS(${columns})) AS ${quoteIdentifier(alias)}`,
+        where: inner ? ` WHERE ${inner}` : ""
+    };
+}
+
+/**
+ * 生成 EXISTS (SELECT 1 FROM JSON_TABLE(...) AS e WHERE ...)
+ */
+function buildElemMatchCondition(field, criteria, params, context, options = {}) {
+    const { source, where } = compileElemMatch(field, criteria, params, context, options);
+    return `EXISTS (SELECT 1 FROM ${source}${where})`;
+}
+
+/* ============================================================
+   JSON 数组列：与 Mongo 一致，标量条件按数组元素匹配
+============================================================ */
+const ELEMENT_COMPARISON_OPERATORS = ["$gt", "$gte", "$lt", "$lte", "$regex"];
+
+/**
+ * 数组元素操作数：字符串与数字直接绑定，其余值（布尔、对象等）以 JSON 形式绑定
+ */
+function jsonElementOperand(value, params) {
+    if (typeof value === "string" || typeof value === "number") {
+        params.push(value);
+        return "?";
+    }
+    params.push(JSON.stringify(value));
+    return "CAST(? AS JSON)";
+}
+
+function negateArrayCondition(condition, options) {
+    // Mongo 语义下数组列为 NULL / 缺失时否定条件同样匹配
+    return useMongoNullSemantics() ? `(${condition}) IS NOT TRUE` : `NOT (${condition})`;
+}
+
+/**
+ * 数组列上的操作符：
+ * $eq / $ne 标量 -> ? MEMBER OF(col)，$in / $nin -> JSON_OVERLAPS(col, ?)，
+ * 比较与正则 -> 任一元素满足（复用 $elemMatch）。
+ * 返回 null 表示沿用通用处理（整体数组相等、$all、$size 等）
+ */
+function buildArrayColumnCondition(fieldInfo, operator, operand, params, context, options) {
+    const field = fieldInfo.sql;
+    if (operand instanceof SubQuery) return null;
+    switch (operator) {
+        case "$eq":
+        case "$ne": {
+            if (operand === null || operand === undefined || isJsonDocumentValue(operand)) return null;
+            const member = `${jsonElementOperand(operand, params)} MEMBER OF(${field})`;
+            return operator === "$eq" ? member : negateArrayCondition(member, options);
+        }
+        case "$in":
+        case "$nin": {
+            if (!Array.isArray(operand) || operand.length === 0 || operand.some(v => v instanceof SubQuery)) return null;
+            const inConds = [];
+            const values = operand.filter(v => v !== null && v !== undefined && !(v instanceof RegExp));
+            if (values.length > 0) {
+                params.push(JSON.stringify(values));
+                inConds.push(`JSON_OVERLAPS(${field}, CAST(? AS JSON))`);
+            }
+            operand.filter(v => v instanceof RegExp).forEach(regex => {
+                inConds.push(buildElemMatchCondition(field, { $regex: regex }, params, context, options));
+            });
+            if (operand.some(v => v === null || v === undefined)) {
+                inConds.push(nullCheckSQL(field, fieldInfo));
+            }
+            const inExpr = inConds.join(" OR ");
+            if (operator === "$nin") return negateArrayCondition(inExpr, options);
+            return inConds.length > 1 ? `(${inExpr})` : inExpr;
+        }
+        default:
+            if (!ELEMENT_COMPARISON_OPERATORS.includes(operator)) return null;
+            return buildElemMatchCondition(field, operator === "$regex" ? { $regex: operand } : { [operator]: operand }, params, context, options);
+    }
+}
+
+/**
+ * JSON 列 / 路径与对象或数组值的整体相等比较
+ */
+function isJsonDocumentValue(value) {
+    return value !== null && typeof value === "object" && !(value instanceof Date) && !(value instanceof RegExp)
+        && !(value instanceof SubQuery) && !(value instanceof OuterReference);
+}
+
+function jsonDocumentCondition(fieldInfo, value, negate, params) {
+    const target = fieldInfo.path ? jsonExtractSQL(fieldInfo, false) : fieldInfo.column;
+    params.push(JSON.stringify(value));
+    return `${target} ${negate ? "<>" : "="} CAST(? AS JSON)`;
+}
+
+/* ============================================================
+   正则表达式支持：$regex / $options / RegExp 转为 REGEXP_LIKE
+============================================================ */
+// Mongo $options 与 JS RegExp flags 中可识别的标志；g、y、d、u、v 对匹配结果无影响
+const REGEX_FLAGS = { i: "i", m: "m", s: "s", x: "x", u: "", g: "", y: "", d: "", v: "" };
+
+/**
+ * 统一正则的输入形式：字符串、RegExp，以及可选的 $options
+ * @returns {{pattern: string, flags: string}}
+ */
+function normalizeRegex(regex, options, context) {
+    let pattern;
+    let flags = "";
+    if (regex instanceof RegExp) {
+        pattern = regex.source;
+        flags = regex.flags;
+    } else if (typeof regex === "string") {
+        pattern = regex;
+    } else if (regex && typeof regex === "object" && typeof regex.pattern === "string") {
+        return regex; // 已规范化
+    } else {
+        handleError(`$regex 的值必须为字符串或 RegExp: ${JSON.stringify(regex)}`, context, QueryParseError);
+    }
+    if (options !== undefined && options !== null) {
+        if (typeof options !== "string") {
+            handleError(`$options 必须为字符串: ${JSON.stringify(options)}`, context, QueryParseError);
+        }
+        flags += options;
+    }
+    let normalized = "";
+    for (const flag of flags) {
+        if (!(flag in REGEX_FLAGS)) {
+            handleError(`不支持的正则选项: ${flag}`, context, QueryParseError);
+        }
+        if (REGEX_FLAGS[flag] && !normalized.includes(flag)) normalized += REGEX_FLAGS[flag];
+    }
+    return { pattern, flags: normalized };
+}
+
+/**
+ * 找到 source[start] 处左括号对应的右括号位置
+ */
+function findGroupEnd(source, start) {
+    let depth = 0;
+    let inClass = false;
+    for (let i = start; i < source.length; i++) {
+        const ch = source[i];
+        if (ch === "\\") { i++; continue; }
+        if (inClass) { if (ch === "]") inClass = false; continue; }
+        if (ch === "[") inClass = true;
+        else if (ch === "(") depth++;
+        else if (ch === ")" && --depth === 0) return i;
+    }
+    return -1;
+}
+
+/**
+ * 将 JS / PCRE 正则语法转换为 MySQL 8（ICU）可识别的形式；
+ * extended 为 true 时按 x 选项去除空白与 # 注释。无法表达的结构抛出 QueryParseError
+ */
+function translateRegexToICU(source, extended, context) {
+    let out = "";
+    let inClass = false;
+    let i = 0;
+    const unsupported = (what) => handleError(`MySQL 正则不支持 ${what}: ${JSON.stringify(source)}`, context, QueryParseError);
+    while (i < source.length) {
+        const ch = source[i];
+        if (ch === "\\") {
+            const next = source[i + 1];
+            if (next === undefined) unsupported("末尾的反斜杠");
+            if (next === "u" && source[i + 2] === "{") {
+                // JS \u{1F600} -> ICU \x{1F600}
+                const end = source.indexOf("}", i + 3);
+                if (end === -1) unsupported("未闭合的 \\u{...}");
+                out += `\\x{${source.slice(i + 3, end)}}`;
+                i = end + 1;
+                continue;
+            }
+            if (next === "K") unsupported("\\K");
+            out += ch + next;
+            i += 2;
+            continue;
+        }
+        if (inClass) {
+            if (ch === "]") inClass = false;
+            out += ch;
+            i++;
+            continue;
+        }
+        if (ch === "[") {
+            if (source.startsWith("[^]", i)) { out += "[\\s\\S]"; i += 3; continue; } // JS 任意字符
+            if (source.startsWith("[]", i)) { out += "(?!)"; i += 2; continue; }       // JS 空字符类
+            inClass = true;
+            out += ch;
+            i++;
+            continue;
+        }
+        if (extended) {
+            if (/\s/.test(ch)) { i++; continue; }
+            if (ch === "#") {
+                const end = source.indexOf("\n", i);
+                i = end === -1 ? source.length : end + 1;
+                continue;
+            }
+        }
+        if (ch === "(" && source[i + 1] === "*") unsupported("回溯控制动词");
+        if (ch === "(" && source[i + 1] === "?") {
+            const rest = source.slice(i + 2);
+            if (rest.startsWith("P<")) { out += "(?<"; i += 4; continue; } // PCRE 命名分组
+            if (rest.startsWith("P=")) {
+                const end = source.indexOf(")", i);
+                out += `\\k<${source.slice(i + 4, end)}>`;
+                i = end + 1;
+                continue;
+            }
+            if (/^(R|\d|[+-]\d|&|P>)/.test(rest)) unsupported("递归模式");
+            if (rest.startsWith("(")) unsupported("条件分组");
+            if (rest.startsWith("<=") || rest.startsWith("<!")) {
+                const end = findGroupEnd(source, i);
+                const body = source.slice(i + 4, end);
+                if (/(^|[^\\])[*+]|\{\d*,\}/.test(body)) unsupported("不定长的后行断言");
+            }
+        }
+        out += ch;
+        i++;
+    }
+    if (inClass) unsupported("未闭合的字符类");
+    return out;
+}
+
+/**
+ * 模式在顶层（分组与字符类之外）是否有 | 分支，例如 ^abc|xyz 中的 xyz 分支不受 ^abc 前缀约束
+ */
+function hasTopLevelAlternation(pattern) {
+    let depth = 0;
+    let inClass = false;
+    for (let i = 0; i < pattern.length; i++) {
+        const ch = pattern[i];
+        if (ch === "\\") {
+            i++;
+        } else if (inClass) {
+            if (ch === "]") inClass = false;
+        } else if (ch === "[") {
+            inClass = true;
+            // 紧跟 [ 或 [^ 的 ] 是字面量
+            if (pattern[i + 1] === "^") i++;
+            if (pattern[i + 1] === "]") i++;
+        } else if (ch === "(") {
+            depth++;
+        } else if (ch === ")") {
+            depth--;
+        } else if (ch === "|" && depth === 0) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * 提取锚定正则的字面量前缀，例如 ^abc\.d -> "abc.d"；顶层有 | 分支时没有公共前缀
+ */
+function extractLiteralPrefix(pattern) {
+    if (!pattern.startsWith("^") || hasTopLevelAlternation(pattern)) return "";
+    let prefix = "";
+    let i = 1;
+    while (i < pattern.length) {
+        let lit;
+        let len;
+        const ch = pattern[i];
+        if (ch === "\\") {
+            const next = pattern[i + 1];
+            if (next === undefined || !/[.*+?()[\]{}|\\^$\/-]/.test(next)) break;
+            lit = next;
+            len = 2;
+        } else if (".*+?()[]{}|^$".includes(ch)) {
+            break;
+        } else {
+            lit = ch;
+            len = 1;
+        }
+        const quantifier = pattern[i + len];
+        if (quantifier === "*" || quantifier === "?" || quantifier === "{") break;
+        prefix += lit;
+        i += len;
+        if (quantifier === "+") break;
+    }
+    return prefix;
+}
+
+/**
+ * 生成正则匹配条件：REGEXP_LIKE(field, ?, 'c'|'i' [+ 'm'][+ 'n'])
+ */
+function buildRegexCondition(field, regex, params, context) {
+    const { pattern, flags } = normalizeRegex(regex, undefined, context);
+    const icuPattern = translateRegexToICU(pattern, flags.includes("x"), context);
+    let matchType = flags.includes("i") ? "i" : "c";
+    if (flags.includes("m")) matchType += "m";
+    if (flags.includes("s")) matchType += "n";
+    const regexLike = `REGEXP_LIKE(${field}, ?, '${matchType}')`;
+
+    if (Config.REGEX_PREFIX_TO_LIKE && !flags.includes("m")) {
+        let prefix = extractLiteralPrefix(icuPattern);
+        if (matchType.startsWith("i")) {
+            // LIKE 的大小写跟随列排序规则：不区分大小写时只取不含大小写字母的前缀，避免区分大小写的排序规则漏掉行
+            const cased = [...prefix].findIndex(ch => ch.toLowerCase() !== ch.toUpperCase());
+            if (cased >= 0) prefix = [...prefix].slice(0, cased).join("");
+        }
+        if (prefix) {
+            // LIKE 只用于按索引缩小范围，仍由 REGEXP_LIKE 精确过滤
+            params.push(prefix.replace(/[\\%_]/g, "\\$&") + "%", icuPattern);
+            return `(${field} LIKE ? AND ${regexLike})`;
+        }
+    }
+    params.push(icuPattern);
+    return regexLike;
+}
+
+/* ============================================================
+   全文检索：$text 转为 MATCH ... AGAINST（BOOLEAN MODE）
+============================================================ */
+// MySQL 布尔模式中的特殊字符，出现在普通词内时按分隔符处理
+const FULLTEXT_OPERATOR_CHARS = /[+\-<>()~*"@]+/g;
+
+/**
+ * 将 Mongo $search 字符串转为 MySQL 布尔模式检索串：
+ * 普通词为可选词（任一命中即可），"短语" 为必须匹配（+"..."），-词 为排除
+ */
+function translateTextSearch(search, context) {
+    const terms = [];
+    const phrasePattern = /"([^"]*)"/g;
+    const phrases = [];
+    let match;
+    while ((match = phrasePattern.exec(search)) !== null) {
+        const phrase = match[1].replace(FULLTEXT_OPERATOR_CHARS, " ").trim().replace(/\s+/g, " ");
+        if (phrase) phrases.push(`+"${phrase}"`);
+    }
+    search.replace(phrasePattern, " ").split(/\s+/).forEach(token => {
+        const negate = token.startsWith("-");
+        token.replace(FULLTEXT_OPERATOR_CHARS, " ").split(" ").filter(Boolean).forEach(word => {
+            terms.push(negate ? `-${word}` : word);
+        });
+    });
+    const result = [...phrases, ...terms].join(" ");
+    if (!result) {
+        handleError("$search 不能为空", context, QueryParseError);
+    }
+    return result;
+}
+
+/**
+ * 编译 $text 条件，并在解析选项中记录检索信息，供 textScore 投影与排序复用
+ */
+function compileTextSearch(value, params, options, context) {
+    if (!value || typeof value !== "object" || typeof value.$search !== "string") {
+        handleError("$text 需要 { $search: string }", context, QueryParseError);
+    }
+    if (value.$caseSensitive || value.$diacriticSensitive) {
+        handleError("MySQL FULLTEXT 的大小写与重音敏感性由列排序规则决定，不支持按查询指定", context, QueryParseError);
+    }
+    const collected = options.collected || {};
+    if (collected.textSearch) {
+        handleError("一个查询中只能使用一个 $text", context, QueryParseError);
+    }
+    const schema = TableSchemas[options.tableName];
+    const columns = schema && schema.textColumns;
+    if (!columns || columns.length === 0) {
+        handleError(`表 "${options.tableName}" 未声明全文检索列（registerTableSchema 的 textColumns）`, context, QueryParseError);
+    }
+    if (value.$language !== undefined) {
+        Logger.warn("MySQL FULLTEXT 使用索引的解析器，忽略 $language:", value.$language);
+    }
+    const qualify = Object.keys(options.tables || {}).length > 1;
+    const columnSQL = columns.map(col => qualify ? quoteQualifiedIdentifier(`${options.tableName}.${col}`, context) : quoteIdentifier(col));
+    collected.textSearch = {
+        sql: `MATCH(${columnSQL.join(", ")}) AGAINST(? IN BOOLEAN MODE)`,
+        search: translateTextSearch(value.$search, context)
+    };
+    params.push(collected.textSearch.search);
+    return collected.textSearch.sql;
+}
+
+function isTextScoreMeta(spec) {
+    return !!spec && typeof spec === "object" && !Array.isArray(spec) && "$meta" in spec;
+}
+
+/**
+ * { $meta: "textScore" } -> 与 WHERE 中相同的 MATCH ... AGAINST 表达式
+ */
+function textScoreSQL(spec, params, options, context) {
+    if (spec.$meta !== "textScore") {
+        handleError(`不支持的 $meta: ${JSON.stringify(spec.$meta)}`, context, QueryParseError);
+    }
+    const textSearch = options.collected && options.collected.textSearch;
+    if (!textSearch) {
+        handleError('{ $meta: "textScore" } 需要查询条件中包含 $text', context, QueryParseError);
+    }
+    params.push(textSearch.search);
+    return textSearch.sql;
+}
+
+/* ============================================================
+   地理空间查询：$near / $nearSphere / $geoWithin / $geoIntersects
+============================================================ */
+const GEO_NEAR_OPERATORS = ["$near", "$nearSphere"];
+const GEO_DISTANCE_MODIFIERS = ["$maxDistance", "$minDistance"];
+// 旧式坐标对的 $nearSphere / $centerSphere 以弧度表示距离，按 MongoDB 使用的地球半径换算为米
+const EARTH_RADIUS_METERS = 6378100;
+
+function isCoordinatePair(value) {
+    return Array.isArray(value) && value.length === 2 && value.every(n => typeof n === "number" && Number.isFinite(n));
+}
+
+function assertGeoJSON(geometry, context) {
+    if (!geometry || typeof geometry !== "object" || typeof geometry.type !== "string"
+        || (geometry.type === "GeometryCollection" ? !Array.isArray(geometry.geometries) : !Array.isArray(geometry.coordinates))) {
+        handleError(`非法的 GeoJSON 几何对象: ${JSON.stringify(geometry)}`, context, QueryParseError);
+    }
+    return geometry;
+}
+
+function assertDistance(value, name, context) {
+    if (value !== undefined && (typeof value !== "number" || !Number.isFinite(value) || value < 0)) {
+        handleError(`${name} 必须为非负数: ${JSON.stringify(value)}`, context, QueryParseError);
+    }
+    return value;
+}
+
+/**
+ * GeoJSON 以参数绑定；列声明了非 4326 的 srid 时按该 SRID 构造几何对象
+ */
+function geoJSONParam(geometry, params, fieldInfo, context) {
+    params.push(JSON.stringify(geometry));
+    const srid = fieldInfo && fieldInfo.definition ? fieldInfo.definition.srid : undefined;
+    if (srid === undefined || srid === 4326) {
+        return "ST_GeomFromGeoJSON(?)";
+    }
+    if (!Number.isInteger(srid) || srid < 0) {
+        handleError(`非法的 SRID: ${JSON.stringify(srid)}`, context, QueryParseError);
+    }
+    return `ST_GeomFromGeoJSON(?, 1, ${srid})`;
+}
+
+/**
+ * 规范化 $near / $nearSphere：GeoJSON 点的距离单位为米；旧式坐标对仅支持 $nearSphere（弧度）
+ * @returns {{geometry: Object, maxDistance?: number, minDistance?: number}}
+ */
+function normalizeNear(operand, siblings, operator, context) {
+    if (operand && typeof operand === "object" && operand.$geometry) {
+        const geometry = assertGeoJSON(operand.$geometry, context);
+        if (geometry.type !== "Point") {
+            handleError(`${operator} 的 $geometry 必须为 Point`, context, QueryParseError);
+        }
+        return {
+            geometry,
+            maxDistance: assertDistance(operand.$maxDistance !== undefined ? operand.$maxDistance : siblings.$maxDistance, "$maxDistance", context),
+            minDistance: assertDistance(operand.$minDistance !== undefined ? operand.$minDistance : siblings.$minDistance, "$minDistance", context)
+        };
+    }
+    if (isCoordinatePair(operand)) {
+        if (operator !== "$nearSphere") {
+            handleError("$near 的旧式坐标对表示平面距离，MySQL 无法按坐标单位计算，请使用 GeoJSON 点或 $nearSphere", context, QueryParseError);
+        }
+        const toMeters = value => (assertDistance(value, "距离", context) === undefined ? undefined : value * EARTH_RADIUS_METERS);
+        return {
+            geometry: { type: "Point", coordinates: operand },
+            maxDistance: toMeters(siblings.$maxDistance),
+            minDistance: toMeters(siblings.$minDistance)
+        };
+    }
+    handleError(`${operator} 需要 { $geometry: Point } 或坐标对 [lng, lat]`, context, QueryParseError);
+}
+
+function distanceSQL(field, geometry, params, fieldInfo, context) {
+    return `ST_Distance_Sphere(${field}, ${geoJSONParam(geometry, params, fieldInfo, context)})`;
+}
+
+/**
+ * $near / $nearSphere：距离范围条件，并记录距离表达式供 MongoQueryBuilder 按距离排序
+ */
+function buildNearCondition(field, near, params, context, options = {}) {
+    const collected = options.collected || {};
+    if (collected.near) {
+        handleError("一个查询中只能使用一个 $near / $nearSphere", context, QueryParseError);
+    }
+    collected.near = { field, geometry: near.geometry, fieldInfo: options.fieldInfo };
+    const hasMin = near.minDistance !== undefined;
+    const hasMax = near.maxDistance !== undefined;
+    if (!hasMin && !hasMax) {
+        return `${field} IS NOT NULL`;
+    }
+    const distance = distanceSQL(field, near.geometry, params, options.fieldInfo, context);
+    if (hasMin && hasMax) {
+        params.push(near.minDistance, near.maxDistance);
+        return `${distance} BETWEEN ? AND ?`;
+    }
+    params.push(hasMin ? near.minDistance : near.maxDistance);
+    return `${distance} ${hasMin ? ">=" : "<="} ?`;
+}
+
+/**
+ * 按 $near 距离升序排序的表达式；查询中没有 $near 时返回空串
+ */
+function nearOrderSQL(params, options = {}, context = "ORDER BY") {
+    const near = options.collected && options.collected.near;
+    return near ? `${distanceSQL(near.field, near.geometry, params, near.fieldInfo, context)} ASC` : "";
+}
+
+function closeRing(points) {
+    const first = points[0];
+    const last = points[points.length - 1];
+    return first[0] === last[0] && first[1] === last[1] ? points : [...points, first];
+}
+
+/**
+ * $geoWithin：$geometry（Polygon / MultiPolygon）、$box、$polygon 转为 ST_Within，$centerSphere 转为球面距离
+ */
+function buildGeoWithinCondition(field, spec, params, context, options = {}) {
+    const fieldInfo = options.fieldInfo;
+    if (!spec || typeof spec !== "object") {
+        handleError("$geoWithin 的值必须为对象", context, QueryParseError);
+    }
+    let geometry;
+    if (spec.$geometry) {
+        geometry = assertGeoJSON(spec.$geometry, context);
+        if (!["Polygon", "MultiPolygon"].includes(geometry.type)) {
+            handleError(`$geoWithin 的 $geometry 必须为 Polygon 或 MultiPolygon`, context, QueryParseError);
+        }
+    } else if (spec.$box) {
+        if (!Array.isArray(spec.$box) || spec.$box.length !== 2 || !spec.$box.every(isCoordinatePair)) {
+            handleError("$box 需要 [[左下 lng, lat], [右上 lng, lat]]", context, QueryParseError);
+        }
+        const [[x1, y1], [x2, y2]] = spec.$box;
+        geometry = { type: "Polygon", coordinates: [[[x1, y1], [x2, y1], [x2, y2], [x1, y2], [x1, y1]]] };
+    } else if (spec.$polygon) {
+        if (!Array.isArray(spec.$polygon) || spec.$polygon.length < 3 || !spec.$polygon.every(isCoordinatePair)) {
+            handleError("$polygon 至少需要三个坐标对", context, QueryParseError);
+        }
+        geometry = { type: "Polygon", coordinates: [closeRing(spec.$polygon)] };
+    } else if (spec.$centerSphere) {
+        const [center, radius] = Array.isArray(spec.$centerSphere) ? spec.$centerSphere : [];
+        if (!isCoordinatePair(center) || assertDistance(radius, "$centerSphere 半径", context) === undefined) {
+            handleError("$centerSphere 需要 [[lng, lat], 弧度半径]", context, QueryParseError);
+        }
+        const point = { type: "Point", coordinates: center };
+        const distance = distanceSQL(field, point, params, fieldInfo, context);
+        params.push(radius * EARTH_RADIUS_METERS);
+        return `${distance} <= ?`;
+    } else {
+        handleError(`不支持的 $geoWithin 形式: ${Object.keys(spec).join(", ")}（$center 为平面距离，请使用 $centerSphere）`, context, QueryParseError);
+    }
+    return `ST_Within(${field}, ${geoJSONParam(geometry, params, fieldInfo, context)})`;
+}
+
+function buildGeoIntersectsCondition(field, spec, params, context, options = {}) {
+    if (!spec || typeof spec !== "object" || !spec.$geometry) {
+        handleError("$geoIntersects 需要 { $geometry: GeoJSON }", context, QueryParseError);
+    }
+    const geometry = assertGeoJSON(spec.$geometry, context);
+    return `ST_Intersects(${field}, ${geoJSONParam(geometry, params, options.fieldInfo, context)})`;
+}
+
+/* ============================================================
+   聚合表达式编译：$expr 等场景共用，字段以 "$field" 引用
+============================================================ */
+// 以中缀形式输出的操作符，作为其他表达式的操作数时需要加括号
+const INFIX_EXPRESSION_OPERATORS = ["$eq", "$ne", "$gt", "$gte", "$lt", "$lte", "$add", "$subtract", "$multiply", "$divide", "$and", "$or", "$not", "$in"];
+
+function expressionArgs(args, count, op, context) {
+    const list = Array.isArray(args) ? args : [args];
+    if (count !== undefined && list.length !== count) {
+        handleError(`${op} 需要 ${count} 个参数，实际为 ${list.length}`, context, QueryParseError);
+    }
+    return list;
+}
+
+function binaryExpression(sqlOperator) {
+    return (args, compileArg, { op, context }) => {
+        const [left, right] = expressionArgs(args, 2, op, context);
+        return `${compileArg(left)} ${sqlOperator} ${compileArg(right)}`;
+    };
+}
+
+function variadicExpression(sqlOperator) {
+    return (args, compileArg, { op, context }) => {
+        const list = expressionArgs(args, undefined, op, context);
+        if (list.length === 0) {
+            handleError(`${op} 至少需要一个参数`, context, QueryParseError);
+        }
+        return list.map(arg => compileArg(arg)).join(` ${sqlOperator} `);
+    };
+}
+
+function functionExpression(sqlFunc, count, hint) {
+    return (args, compileArg, { op, context }) =>
+        `${sqlFunc}(${expressionArgs(args, count, op, context).map(arg => compileArg(arg, hint)).join(", ")})`;
+}
+
+/**
+ * 表达式操作符表：handler(args, compileArg, { op, context, params, options }) => SQL
+ */
+const EXPRESSION_OPERATORS = {
+    // 比较：$eq / $ne 使用 NULL 安全比较，与 Mongo 中 null 等于缺失字段一致
+    $eq: binaryExpression("<=>"),
+    $ne: (args, compileArg, ctx) => `NOT (${binaryExpression("<=>")(args, compileArg, ctx)})`,
+    $gt: binaryExpression(">"),
+    $gte: binaryExpression(">="),
+    $lt: binaryExpression("<"),
+    $lte: binaryExpression("<="),
+    $cmp: (args, compileArg, { op, context }) => {
+        const [left, right] = expressionArgs(args, 2, op, context);
+        const lt = `${compileArg(left)} < ${compileArg(right)}`;
+        const gt = `${compileArg(left)} > ${compileArg(right)}`;
+        return `CASE WHEN ${lt} THEN -1 WHEN ${gt} THEN 1 ELSE 0 END`;
+    },
+    $in: (args, compileArg, { op, context }) => {
+        const [value, list] = expressionArgs(args, 2, op, context);
+        if (!Array.isArray(list) || list.length === 0) {
+            handleError(`${op} 的第二个参数必须为非空数组`, context, QueryParseError);
+        }
+        const valueSQL = compileArg(value);
+        return `${valueSQL} IN (${list.map(item => compileArg(item)).join(", ")})`;
+    },
+    // 算术
+    $add: variadicExpression("+"),
+    $subtract: binaryExpression("-"),
+    $multiply: variadicExpression("*"),
+    $divide: binaryExpression("/"),
+    $mod: functionExpression("MOD", 2),
+    $abs: functionExpression("ABS", 1),
+    $ceil: functionExpression("CEIL", 1),
+    $floor: functionExpression("FLOOR", 1),
+    $round: (args, compileArg, { op, context }) => {
+        const list = expressionArgs(args, undefined, op, context);
+        return `ROUND(${compileArg(list[0])}, ${list.length > 1 ? compileArg(list[1]) : "0"})`;
+    },
+    // 逻辑
+    $and: variadicExpression("AND"),
+    $or: variadicExpression("OR"),
+    $not: (args, compileArg, { op, context }) => `NOT ${compileArg(expressionArgs(args, 1, op, context)[0])}`,
+    // 条件
+    $cond: (args, compileArg, { op, context }) => {
+        let branches = args;
+        if (!Array.isArray(args)) {
+            if (!args || typeof args !== "object" || !("if" in args) || !("then" in args) || !("else" in args)) {
+                handleError(`${op} 需要 [if, then, else] 或 { if, then, else }`, context, QueryParseError);
+            }
+            branches = [args.if, args.then, args.else];
+        }
+        const [condition, thenExpr, elseExpr] = expressionArgs(branches, 3, op, context);
+        return `CASE WHEN ${compileArg(condition)} THEN ${compileArg(thenExpr)} ELSE ${compileArg(elseExpr)} END`;
+    },
+    $ifNull: (args, compileArg, { op, context }) => {
+        const list = expressionArgs(args, undefined, op, context);
+        if (list.length < 2) {
+            handleError(`${op} 至少需要两个参数`, context, QueryParseError);
+        }
+        return `COALESCE(${list.map(arg => compileArg(arg)).join(", ")})`;
+    },
+    // 日期
+    $year: functionExpression("YEAR", 1),
+    $month: functionExpression("MONTH", 1),
+    $dayOfMonth: functionExpression("DAYOFMONTH", 1),
+    $dayOfWeek: functionExpression("DAYOFWEEK", 1),
+    $dayOfYear: functionExpression("DAYOFYEAR", 1),
+    $hour: functionExpression("HOUR", 1),
+    $minute: functionExpression("MINUTE", 1),
+    $second: functionExpression("SECOND", 1),
+    // 字符串
+    $concat: functionExpression("CONCAT", undefined, "string"),
+    $toLower: functionExpression("LOWER", 1, "string"),
+    $toUpper: functionExpression("UPPER", 1, "string"),
+    $literal: (args, compileArg, { params }) => {
+        if (args === null || args === undefined) return "NULL";
+        params.push(args);
+        return "?";
+    }
+};
+
+function isInfixExpression(expr) {
+    if (!expr || typeof expr !== "object" || Array.isArray(expr) || expr instanceof Date) return false;
+    const keys = Object.keys(expr);
+    return keys.length === 1 && INFIX_EXPRESSION_OPERATORS.includes(keys[0]);
+}
+
+/**
+ * 编译 "$field" 引用；JSON 路径在字符串上下文中取去引号的值，其余情况保留 JSON 值以便按类型比较
+ */
+function compileFieldReference(ref, options, context, hint) {
+    const fieldInfo = resolveField(ref.substring(1), options, context);
+    if (fieldInfo.isJson && fieldInfo.path) {
+        return jsonExtractSQL(fieldInfo, hint === "string");
+    }
+    return fieldInfo.sql;
+}
+
+/**
+ * 编译聚合表达式为 SQL，字面量以占位符参数化
+ * @param {*} expr 例：{ $gt: [{ $multiply: ["$price", "$qty"] }, 1000] }
+ * @param {Array} params 参数数组（按出现顺序追加）
+ * @param {string} context
+ * @param {Object} options 解析选项，见 buildParseOptions
+ * @param {string} [hint] "string" 表示处于字符串函数的参数位置
+ * @returns {string}
+ */
+function compileExpression(expr, params, context = "$expr", options = {}, hint) {
+    if (typeof expr === "string" && expr.startsWith("$$")) {
+        if (expr === "$$NOW") return "NOW()";
+        handleError(`不支持的系统变量: ${expr}`, context, QueryParseError);
+    }
+    if (typeof expr === "string" && expr.startsWith("$")) {
+        return compileFieldReference(expr, options, context, hint);
+    }
+    if (expr === null || expr === undefined) {
+        return "NULL";
+    }
+    if (typeof expr !== "object" || expr instanceof Date) {
+        params.push(expr);
+        return "?";
+    }
+    const compileArg = (arg, argHint) => {
+        const sql = compileExpression(arg, params, context, options, argHint);
+        return isInfixExpression(arg) ? `(${sql})` : sql;
+    };
+    if (Array.isArray(expr)) {
+        return `JSON_ARRAY(${expr.map(item => compileArg(item)).join(", ")})`;
     }
-}
-
-function registerOperatorPlugin(operator, handler) {
-    OperatorPlugins.push(new OperatorPlugin(operator, handler));
+    const keys = Object.keys(expr);
+    if (keys.length === 1 && keys[0].startsWith("$")) {
+        const op = keys[0];
+        const handler = EXPRESSION_OPERATORS[op];
+        if (!handler) {
+            handleError(`不支持的表达式操作符: ${op}`, context, QueryParseError);
+        }
+        return handler(expr[op], compileArg, { op, context: `${context}->${op}`, params, options });
+    }
+    if (keys.some(key => key.startsWith("$"))) {
+        handleError(`表达式对象只能包含一个操作符: ${keys.join(", ")}`, context, QueryParseError);
+    }
+    // 普通对象表达式：{ a: "$x", b: 1 } -> JSON_OBJECT('a', x, 'b', ?)
+    return `JSON_OBJECT(${keys.map(key => `${quoteLiteral(key)}, ${compileArg(expr[key])}`).join(", ")})`;
 }
 
 /* ============================================================
@@ -129,19 +1433,26 @@ function generateSQL(queryConfig) {
         params = [],
         tableName
     } = queryConfig;
-    let sql = `SELECT ${selectClause} FROM ${tableName}`;
+    let sql = `SELECT ${selectClause} FROM ${quoteQualifiedIdentifier(tableName, "generateSQL")}`;
     if (joinClause) sql += ` ${joinClause}`;
     if (whereClause) sql += ` WHERE ${whereClause}`;
     if (sortClause) sql += ` ORDER BY ${sortClause}`;
-    if (limitClause) sql += ` LIMIT ${limitClause}`;
-    if (offsetClause) sql += ` OFFSET ${offsetClause}`;
+    if (limitClause) sql += ` LIMIT ${assertNonNegativeInteger(limitClause, "LIMIT", "generateSQL")}`;
+    if (offsetClause) sql += ` OFFSET ${assertNonNegativeInteger(offsetClause, "OFFSET", "generateSQL")}`;
     return { sql, params };
 }
 
 /* ============================================================
    MongoDB 查询转换为 MySQL 查询函数
 ============================================================ */
-function parseMongoQuery(query, params, context = "root") {
+/**
+ * @param {Object} query Mongo 风格的查询条件
+ * @param {Array} params 参数数组（按顺序追加）
+ * @param {string} context 日志与错误上下文
+ * @param {{tableName?: string, tables?: Object}} options 解析选项，见 buildParseOptions
+ * @returns {string} WHERE 子句
+ */
+function parseMongoQuery(query, params, context = "root", options = {}) {
     let conditions = [];
 
     for (let key in query) {
@@ -151,7 +1462,7 @@ function parseMongoQuery(query, params, context = "root") {
                 Logger.debug(`处理逻辑操作符 (${context}):`, key, value);
                 if (key === '$or') {
                     let orConditions = value.map((subQuery, idx) =>
-                        parseMongoQuery(subQuery, params, `${context}->OR[${idx}]`)
+                        parseMongoQuery(subQuery, params, `${context}->OR[${idx}]`, options)
                     ).filter(cond => cond && cond !== "1=1");
 
                     if (orConditions.length > 0) {
@@ -162,57 +1473,67 @@ function parseMongoQuery(query, params, context = "root") {
                 }
                 else if (key === '$nor') {
                     let norConditions = value.map((subQuery, idx) =>
-                        parseMongoQuery(subQuery, params, `${context}->NOR[${idx}]`)
+                        parseMongoQuery(subQuery, params, `${context}->NOR[${idx}]`, options)
                     ).filter(cond => cond && cond !== "1=1");
                     if (norConditions.length) {
                         conditions.push(`NOT (${norConditions.join(" OR ")})`);
                     } else {
                         conditions.push("1=1");
                     }
+                } else if (key === '$expr') {
+                    // 字段与字段比较、算术表达式等
+                    const exprSQL = compileExpression(value, params, `${context}->$expr`, options);
+                    conditions.push(value && typeof value === "object" && "$or" in value ? `(${exprSQL})` : exprSQL);
+                } else if (key === '$text') {
+                    conditions.push(compileTextSearch(value, params, options, `${context}->$text`));
+                } else if ((key === '$exists' || key === '$notExists') && value instanceof SubQuery) {
+                    // { $exists: subQuery } -> EXISTS (...)，{ $notExists: subQuery } -> NOT EXISTS (...)
+                    const { sql, params: subParams } = value.compile(options.tableName);
+                    conditions.push(`${key === '$exists' ? "EXISTS" : "NOT EXISTS"} ${sql}`);
+                    params.push(...subParams);
                 } else if (key === '$and') {
                     let andConditions = value.map((subQuery, idx) =>
-                        parseMongoQuery(subQuery, params, `${context}->AND[${idx}]`)
+                        parseMongoQuery(subQuery, params, `${context}->AND[${idx}]`, options)
                     ).filter(cond => cond);
                     if (andConditions.length) {
                         conditions.push(andConditions.join(" AND "));
                     }
                 } else {
-                    handleLogicalOperators(key, value, conditions, params, context);
+                    handleLogicalOperators(key, value, conditions, params, context, options);
                 }
             } else {
                 // 普通字段条件处理
+                const fieldInfo = resolveField(key, options, context);
+                const field = fieldInfo.sql;
                 if (value instanceof SubQuery) {
                     Logger.debug(`子查询检测 (${context})，字段:`, key);
-                    const subResult = value.toSQL();
-                    conditions.push(`${key} IN ${subResult}`);
-                    params.push(...value.getParams());
-                } else if (typeof value === 'object' && !Array.isArray(value) && value !== null) {
-                    let fieldConds = [];
-                    for (let op in value) {
-                        if (op.startsWith('$')) {
-                            if (op === "$in" && value[op] instanceof SubQuery) {
-                                Logger.debug(`子查询 in 操作符 (${context})，字段:`, key);
-                                const subResult = value[op].toSQL();
-                                fieldConds.push(`${key} IN ${subResult}`);
-                                params.push(...value[op].getParams());
-                            } else if (['$in', '$nin', '$all'].includes(op)) {
-                                handleArrayOperators(key, value[op], op, fieldConds, params, context);
-                            } else {
-                                handleOperator(key, value[op], op, fieldConds, params, context);
-                            }
-                        } else {
-                            fieldConds.push(`${key} = ?`);
-                            params.push(value[op]);
-                        }
-                    }
+                    conditions.push(subQueryCondition(fieldForOperand(fieldInfo, "$in", value).field, "$in", value, params, context, options));
+                } else if (value instanceof OuterReference) {
+                    conditions.push(`${fieldForOperand(fieldInfo, "$eq", value).field} = ${value.toSQL(context)}`);
+                } else if (value instanceof RegExp) {
+                    // { name: /john/i } 等价于 { name: { $regex: /john/i } }
+                    conditions.push(...parseFieldOperators(fieldInfo, { $regex: value }, params, context, options));
+                } else if (fieldInfo.isJson && isJsonDocumentValue(value)
+                    && (Array.isArray(value) || Object.keys(value).every(op => !op.startsWith('$')))) {
+                    // JSON 列 / 路径与子文档整体匹配
+                    conditions.push(jsonDocumentCondition(fieldInfo, value, false, params));
+                } else if (typeof value === 'object' && !Array.isArray(value) && value !== null && !(value instanceof Date)) {
+                    const fieldConds = parseFieldOperators(fieldInfo, value, params, context, options);
                     if (fieldConds.length > 1) {
                         conditions.push(`(${fieldConds.join(" AND ")})`);
                     } else if (fieldConds.length === 1) {
                         conditions.push(fieldConds[0]);
                     }
+                } else if (value === null || value === undefined) {
+                    // Mongo 语义：{ field: null } 匹配 NULL 与缺失字段
+                    conditions.push(nullCheckSQL(field, fieldInfo));
+                } else if (fieldInfo.isArray) {
+                    // 数组列：{ tags: "red" } 匹配包含该元素的数组
+                    conditions.push(...parseFieldOperators(fieldInfo, { $eq: value }, params, context, options));
                 } else {
-                    conditions.push(`${key} = ?`);
-                    params.push(value);
+                    const { field: eqField, operand } = fieldForOperand(fieldInfo, "$eq", value);
+                    conditions.push(`${eqField} = ?`);
+                    params.push(operand);
                 }
             }
         } catch (e) {
@@ -227,23 +1548,80 @@ function parseMongoQuery(query, params, context = "root") {
     return result;
 }
 
-function handleLogicalOperators(operator, value, conditions, params, context) {
+/**
+ * 解析单个字段上的操作符表达式，例如 { $gte: 18, $lt: 30 }
+ * @returns {string[]} 各操作符生成的条件（调用方以 AND 连接）
+ */
+function parseFieldOperators(fieldInfo, value, params, context, options = {}) {
+    const field = fieldInfo.sql;
+    const fieldOptions = { ...options, fieldInfo };
+    let fieldConds = [];
+    for (let op in value) {
+        if (op === '$options') {
+            if (!('$regex' in value)) {
+                handleError(`$options 必须与 $regex 一起使用，字段 "${field}"`, context, QueryParseError);
+            }
+            continue;
+        }
+        if (GEO_DISTANCE_MODIFIERS.includes(op)) {
+            if (!GEO_NEAR_OPERATORS.some(nearOp => nearOp in value)) {
+                handleError(`${op} 必须与 $near / $nearSphere 一起使用，字段 "${field}"`, context, QueryParseError);
+            }
+            continue;
+        }
+        if (op.startsWith('$')) {
+            let rawOperand = value[op];
+            if (op === '$regex') {
+                rawOperand = normalizeRegex(value.$regex, value.$options, context);
+            } else if (GEO_NEAR_OPERATORS.includes(op)) {
+                rawOperand = normalizeNear(value[op], value, op, context);
+            }
+            const { field: opField, operand } = fieldForOperand(fieldInfo, op, rawOperand);
+            const arrayCondition = fieldInfo.isArray
+                ? buildArrayColumnCondition(fieldInfo, op, rawOperand, params, context, fieldOptions)
+                : null;
+            if (arrayCondition) {
+                fieldConds.push(arrayCondition);
+            } else if (rawOperand instanceof SubQuery) {
+                fieldConds.push(subQueryCondition(opField, op, rawOperand, params, context, fieldOptions));
+            } else if (rawOperand instanceof OuterReference && SUBQUERY_COMPARISON_OPERATORS.includes(op)) {
+                fieldConds.push(`${opField} ${OPERATORS_MYSQL[op]} ${rawOperand.toSQL(context)}`);
+            } else if (fieldInfo.isJson && ['$eq', '$ne'].includes(op) && isJsonDocumentValue(operand)) {
+                fieldConds.push(jsonDocumentCondition(fieldInfo, operand, op === '$ne', params));
+            } else if (['$in', '$nin', '$all'].includes(op)) {
+                handleArrayOperators(opField, operand, op, fieldConds, params, context, fieldOptions);
+            } else {
+                handleOperator(opField, operand, op, fieldConds, params, context, fieldOptions);
+            }
+        } else {
+            fieldConds.push(`${field} = ?`);
+            params.push(value[op]);
+        }
+    }
+    return fieldConds;
+}
+
+function handleLogicalOperators(operator, value, conditions, params, context, options = {}) {
+    // 操作符名会拼入 SQL，只允许已知的逻辑操作符
+    if (!["$and", "$or", "$nor"].includes(operator)) {
+        handleError(`不支持的操作符: ${JSON.stringify(operator)}`, context, QueryParseError);
+    }
     if (!Array.isArray(value) || value.length === 0) {
         conditions.push(operator === '$and' ? "1=1" : "1=0");
         return;
     }
     let subConds = value.map((subQuery, idx) =>
-        "(" + parseMongoQuery(subQuery, params, `${context}->${operator}[${idx}]`) + ")"
+        "(" + parseMongoQuery(subQuery, params, `${context}->${operator}[${idx}]`, options) + ")"
     );
     if (operator === '$nor') {
         conditions.push("NOT (" + subConds.join(" OR ") + ")");
     } else {
-        conditions.push("(" + subConds.join(" " + (OPERATORS_MYSQL[operator] || operator) + " ") + ")");
+        conditions.push("(" + subConds.join(" " + OPERATORS_MYSQL[operator] + " ") + ")");
     }
     Logger.debug(`逻辑操作符处理 (${context}) ${operator}:`, conditions[conditions.length - 1]);
 }
 
-function handleArrayOperators(field, values, operator, conditions, params, context) {
+function handleArrayOperators(field, values, operator, conditions, params, context, options = {}) {
     if (!Array.isArray(values) || values.length === 0) {
         Logger.warn(`数组操作符 (${context}) ${operator} 的值为空，跳过字段 ${field}`);
         // 修复 `$in: []` 变为 `1=0`
@@ -260,30 +1638,49 @@ function handleArrayOperators(field, values, operator, conditions, params, conte
     if (values.some(v => v instanceof SubQuery)) {
         let subQueries = values.map(v => {
             if (v instanceof SubQuery) {
-                params.push(...v.getParams());
-                return v.toSQL();
+                const { sql, params: subParams } = v.compile(options.tableName);
+                params.push(...subParams);
+                return sql;
             } else {
                 params.push(v);
                 return "?";
             }
         });
-        conditions.push(`${field} IN (${subQueries.join(", ")})`);
+        conditions.push(`${field} ${operator === '$nin' ? "NOT IN" : "IN"} (${subQueries.join(", ")})`);
     } else {
+        // 列表中的 null 单独转为 IS NULL，正则转为 REGEXP_LIKE，其余值走 IN / NOT IN
+        const hasNull = values.some(v => v === null);
+        const regexValues = values.filter(v => v instanceof RegExp);
+        const nonNullValues = values.filter(v => v !== null && !(v instanceof RegExp));
         if (operator === '$in') {
-            if (values.length === 0) {
-                conditions.push("1=0");
-            } else {
-                let placeholders = values.map(() => "?").join(", ");
-                conditions.push(`${field} IN (${placeholders})`);
-                params.push(...values);
+            let inConds = [];
+            if (nonNullValues.length > 0) {
+                let placeholders = nonNullValues.map(() => "?").join(", ");
+                inConds.push(`${field} IN (${placeholders})`);
+                params.push(...nonNullValues);
             }
+            regexValues.forEach(regex => inConds.push(buildRegexCondition(field, regex, params, context)));
+            if (hasNull) {
+                inConds.push(nullCheckSQL(field, options.fieldInfo));
+            }
+            conditions.push(inConds.length > 1 ? `(${inConds.join(" OR ")})` : inConds[0]);
         } else if (operator === '$nin') {
-            if (values.length === 0) {
-                conditions.push("1=1");  // 修正：空 $nin 应匹配所有值
+            let ninConds = [];
+            if (nonNullValues.length > 0) {
+                let placeholders = nonNullValues.map(() => "?").join(", ");
+                ninConds.push(`${field} NOT IN (${placeholders})`);
+                params.push(...nonNullValues);
+            }
+            regexValues.forEach(regex => ninConds.push(`NOT ${buildRegexCondition(field, regex, params, context)}`));
+            const ninExpr = ninConds.join(" AND ");
+            if (hasNull) {
+                ninConds.push(nullCheckSQL(field, options.fieldInfo, true));
+                conditions.push(ninConds.length > 1 ? `(${ninConds.join(" AND ")})` : ninConds[0]);
+            } else if (useMongoNullSemantics()) {
+                // Mongo 语义：$nin 同时匹配 NULL 与缺失字段
+                conditions.push(`(${ninConds.length > 1 ? `(${ninExpr})` : ninExpr} OR ${nullCheckSQL(field, options.fieldInfo)})`);
             } else {
-                let placeholders = values.map(() => "?").join(", ");
-                conditions.push(`${field} NOT IN (${placeholders})`);
-                params.push(...values);
+                conditions.push(ninConds.length > 1 ? `(${ninExpr})` : ninExpr);
             }
         } else if (operator === '$all') {
             let subConds = values.map(val => {
@@ -297,20 +1694,18 @@ function handleArrayOperators(field, values, operator, conditions, params, conte
     Logger.debug(`数组操作符处理 (${context}) ${operator} for field ${field}:`, conditions[conditions.length - 1]);
 }
 
-function handleOperator(field, opValue, operator, conditions, params, context) {
-    // 尝试使用插件处理
+function handleOperator(field, opValue, operator, conditions, params, context, options = {}) {
+    // 尝试使用插件处理：插件收到原始字段名，$elemMatch 的数组元素没有字段名时为元素表达式
     for (const plugin of OperatorPlugins) {
         if (plugin.operator === operator) {
-            plugin.apply(field, opValue, conditions, params, context);
+            const name = options.fieldInfo && options.fieldInfo.name !== undefined ? options.fieldInfo.name : field;
+            plugin.apply(name, opValue, conditions, params, context, { ...options, fieldSQL: field });
             Logger.debug(`插件处理操作符 (${context}) ${operator} for field ${field}:`, conditions[conditions.length - 1]);
             return;
         }
     }
     if (opValue instanceof SubQuery) {
-        const subSql = opValue.toSQL();
-        conditions.push(`${field} IN ${subSql}`);
-        params.push(...opValue.getParams());
-        Logger.debug(`子查询处理 (${context}) for field ${field}:`, subSql);
+        conditions.push(subQueryCondition(field, operator, opValue, params, context, options));
         return;
     }
     switch (operator) {
@@ -322,17 +1717,70 @@ function handleOperator(field, opValue, operator, conditions, params, context) {
             params.push(opValue);
             break;
         case '$elemMatch':
-            conditions.push(`JSON_CONTAINS(${field}, ?)`);
-            params.push(JSON.stringify(opValue));
+            conditions.push(buildElemMatchCondition(field, opValue, params, context, options));
             break;
         case '$regex':
-            conditions.push(`${field} REGEXP ?`);
-            params.push(opValue);
+            conditions.push(buildRegexCondition(field, opValue, params, context));
+            break;
+        case '$type':
+            conditions.push(buildTypeCondition(field, opValue, options.fieldInfo, context));
+            break;
+        case '$bitsAllSet':
+        case '$bitsAnySet':
+        case '$bitsAllClear':
+        case '$bitsAnyClear':
+            conditions.push(buildBitsCondition(field, operator, opValue, params, context));
+            break;
+        case '$mod':
+            conditions.push(buildModCondition(field, opValue, params, context));
+            break;
+        case '$near':
+        case '$nearSphere':
+            conditions.push(buildNearCondition(field, opValue, params, context, options));
+            break;
+        case '$geoWithin':
+            conditions.push(buildGeoWithinCondition(field, opValue, params, context, options));
+            break;
+        case '$geoIntersects':
+            conditions.push(buildGeoIntersectsCondition(field, opValue, params, context, options));
+            break;
+        case '$not': {
+            // { $not: { $gt: 5 } } 或 { $not: /^a/ }：对同一字段的操作符表达式整体取反
+            const innerOps = opValue instanceof RegExp ? { $regex: opValue } : opValue;
+            if (!innerOps || typeof innerOps !== "object" || Array.isArray(innerOps)
+                || Object.keys(innerOps).length === 0 || Object.keys(innerOps).some(k => !k.startsWith('$'))) {
+                handleError(`$not 的值必须为操作符表达式或正则表达式，字段 "${field}"`, context, QueryParseError);
+            }
+            const fieldInfo = options.fieldInfo || { sql: field, isJson: false };
+            const inner = parseFieldOperators(fieldInfo, innerOps, params, `${context}->$not`, options).join(" AND ");
+            // Mongo 语义下内部条件为 UNKNOWN（字段为 NULL / 缺失）时同样视为匹配
+            conditions.push(useMongoNullSemantics() ? `(${inner}) IS NOT TRUE` : `NOT (${inner})`);
             break;
+        }
         case '$like':
             conditions.push(`${field} LIKE ?`);
             params.push(opValue);
             break;
+        case '$eq':
+            if (opValue === null || opValue === undefined) {
+                conditions.push(nullCheckSQL(field, options.fieldInfo));
+            } else {
+                conditions.push(`${field} = ?`);
+                params.push(opValue);
+            }
+            break;
+        case '$ne':
+            if (opValue === null || opValue === undefined) {
+                conditions.push(nullCheckSQL(field, options.fieldInfo, true));
+            } else if (useMongoNullSemantics()) {
+                // Mongo 语义：$ne 同时匹配 NULL 与缺失字段
+                conditions.push(`(${field} <> ? OR ${nullCheckSQL(field, options.fieldInfo)})`);
+                params.push(opValue);
+            } else {
+                conditions.push(`${field} <> ?`);
+                params.push(opValue);
+            }
+            break;
         default:
             let sqlOperator = OPERATORS_MYSQL[operator];
             if (!sqlOperator) {
@@ -352,8 +1800,8 @@ function handleOperator(field, opValue, operator, conditions, params, context) {
  */
 function mongoToMySQL(query, tableName, limit = 10, orderBy = 'id DESC') {
     let params = [];
-    const whereClause = parseMongoQuery(query, params, "mongoToMySQL");
-    const sql = `SELECT * FROM ${tableName} WHERE ${whereClause} ORDER BY ${orderBy} LIMIT ${limit}`;
+    const whereClause = parseMongoQuery(query, params, "mongoToMySQL", buildParseOptions(tableName));
+    const sql = `SELECT * FROM ${quoteQualifiedIdentifier(tableName, "mongoToMySQL")} WHERE ${whereClause} ORDER BY ${buildOrderByClause(orderBy, "mongoToMySQL")} LIMIT ${assertNonNegativeInteger(limit, "limit", "mongoToMySQL")}`;
     Logger.info("基本查询 SQL:", sql, "参数:", params);
     return { sql, params };
 }
@@ -364,7 +1812,7 @@ function mongoToMySQL(query, tableName, limit = 10, orderBy = 'id DESC') {
 function prepareJoinMappings(joinConfigs) {
     const mappings = {};
     joinConfigs.forEach(join => {
-        let alias = join.alias || join.tableName;
+        let alias = assertIdentifier(join.alias || join.tableName, "prepareJoinMappings");
         mappings[alias] = {
             tableName: join.tableName,
             joinType: join.joinType,
@@ -378,18 +1826,20 @@ function prepareJoinMappings(joinConfigs) {
 
 function parseProjectStageWithJoinsOptimized(projectFields, joinMappings, mainTableName) {
     let fields = [];
+    const context = "parseProjectStageWithJoinsOptimized";
+    const quotedMain = quoteIdentifier(mainTableName, context);
     projectFields.forEach(key => {
         if (key.indexOf('.') !== -1) {
             let parts = key.split(".");
             let alias = parts[0];
             let col = parts[1];
-            if (joinMappings[alias]) {
-                fields.push(`${alias}.${col} AS ${alias}_${col}`);
+            if (joinMappings[alias] || alias === mainTableName) {
+                fields.push(`${quoteIdentifier(alias, context)}.${quoteIdentifier(col, context)} AS ${quoteIdentifier(`${alias}_${col}`, context)}`);
             } else {
-                fields.push(`${mainTableName}.${key} AS ${mainTableName}_${key}`);
+                fields.push(`${quoteQualifiedIdentifier(key, context)} AS ${quoteIdentifier(key.replace(/\./g, "_"), context)}`);
             }
         } else {
-            fields.push(`${mainTableName}.${key} AS ${mainTableName}_${key}`);
+            fields.push(`${quotedMain}.${quoteIdentifier(key, context)} AS ${quoteIdentifier(`${mainTableName}_${key}`, context)}`);
         }
     });
     const result = fields.join(", ");
@@ -398,9 +1848,10 @@ function parseProjectStageWithJoinsOptimized(projectFields, joinMappings, mainTa
 }
 
 function generateJoinClause(joinConfigs) {
+    const context = "generateJoinClause";
     const joinClause = joinConfigs.map(join => {
-        const aliasPart = join.alias ? (' AS ' + join.alias) : '';
-        return ` ${join.joinType} ${join.tableName}${aliasPart} ON ${join.on}`;
+        const aliasPart = join.alias ? (' AS ' + quoteIdentifier(join.alias, context)) : '';
+        return ` ${normalizeJoinType(join.joinType, context)} ${quoteQualifiedIdentifier(join.tableName, context)}${aliasPart} ON ${parseJoinOn(join.on, context)}`;
     }).join(" ");
     Logger.debug("生成的 JOIN 子句:", joinClause);
     return joinClause;
@@ -414,9 +1865,9 @@ function mongoToMySQLWithJoinsOptimized(query, tableName, joinConfigs = [], limi
         selectClause = parseProjectStageWithJoinsOptimized(query.$project, joinMappings, tableName);
         delete query.$project;
     }
-    const whereClause = parseMongoQuery(query, params, "mongoToMySQLWithJoinsOptimized");
+    const whereClause = parseMongoQuery(query, params, "mongoToMySQLWithJoinsOptimized", buildParseOptions(tableName, joinConfigs));
     const joinClause = generateJoinClause(joinConfigs);
-    const sql = `SELECT ${selectClause} FROM ${tableName}${joinClause} WHERE ${whereClause} ORDER BY ${orderBy} LIMIT ${limit}`;
+    const sql = `SELECT ${selectClause} FROM ${quoteQualifiedIdentifier(tableName, "mongoToMySQLWithJoinsOptimized")}${joinClause} WHERE ${whereClause} ORDER BY ${buildOrderByClause(orderBy, "mongoToMySQLWithJoinsOptimized")} LIMIT ${assertNonNegativeInteger(limit, "limit", "mongoToMySQLWithJoinsOptimized")}`;
     Logger.info("连表查询 SQL:", sql, "参数:", params);
     return { sql, params };
 }
@@ -424,98 +1875,848 @@ function mongoToMySQLWithJoinsOptimized(query, tableName, joinConfigs = [], limi
 /* ============================================================
    子查询支持
 ============================================================ */
+const SUBQUERY_COMPARISON_OPERATORS = ["$eq", "$ne", "$gt", "$gte", "$lt", "$lte"];
+
+// 正在编译子查询的外层表（栈顶为最近一层），供 SubQuery.outer() 解析未限定的字段
+const CorrelationScopes = [];
+
+/**
+ * 相关子查询中对外层表字段的引用，由 SubQuery.outer(field) 创建
+ */
+class OuterReference {
+    constructor(field) {
+        this.field = field;
+    }
+    toSQL(context = "SubQuery") {
+        if (this.field.includes(".")) {
+            return quoteQualifiedIdentifier(this.field, context);
+        }
+        const outerTable = CorrelationScopes[CorrelationScopes.length - 1];
+        if (!outerTable) {
+            handleError(`外层字段 "${this.field}" 只能在作为子查询编译时引用`, context, QueryParseError);
+        }
+        return `${quoteQualifiedIdentifier(outerTable, context)}.${quoteIdentifier(this.field, context)}`;
+    }
+}
+
 class SubQuery {
+    /**
+     * @param {MongoQueryBuilder|MongoAggregationBuilder} queryBuilder 内层查询
+     */
     constructor(queryBuilder) {
+        if (!queryBuilder || typeof queryBuilder.toSQL !== "function") {
+            handleError("SubQuery 需要 MongoQueryBuilder 或 MongoAggregationBuilder 实例", "SubQuery", QueryParseError);
+        }
         this.queryBuilder = queryBuilder;
-        this.cachedSQL = null;
+        this.cache = {};
     }
-    toSQL() {
-        if (!this.cachedSQL) {
-            const result = this.queryBuilder.toSQL();
-            this.cachedSQL = "(" + result.sql + ")";
+    /**
+     * 引用外层查询的字段，例：{ user_id: SubQuery.outer("id") } -> `user_id` = `users`.`id`。
+     * 内外层为同一张表时请写成带表名的形式以免被内层列遮蔽
+     */
+    static outer(field) {
+        if (typeof field !== "string" || !field) {
+            handleError(`非法的外层字段: ${JSON.stringify(field)}`, "SubQuery.outer", QueryParseError);
         }
-        return this.cachedSQL;
+        return new OuterReference(field);
+    }
+    /**
+     * 在外层表的作用域内编译，结果按外层表缓存
+     * @returns {{sql: string, params: Array}} sql 已带括号
+     */
+    compile(outerTable) {
+        const key = outerTable || "";
+        if (!this.cache[key]) {
+            CorrelationScopes.push(outerTable);
+            try {
+                const result = this.queryBuilder.toSQL();
+                this.cache[key] = { sql: "(" + result.sql + ")", params: result.params };
+            } finally {
+                CorrelationScopes.pop();
+            }
+        }
+        return this.cache[key];
+    }
+    toSQL() {
+        return this.compile().sql;
     }
     getParams() {
-        return this.queryBuilder.toSQL().params;
+        return this.compile().params;
+    }
+}
+
+/**
+ * 字段与子查询的比较：$in / $nin -> IN / NOT IN，比较操作符 -> 标量子查询
+ */
+function subQueryCondition(field, operator, subQuery, params, context, options = {}) {
+    const { sql, params: subParams } = subQuery.compile(options.tableName);
+    let condition;
+    if (operator === "$in") {
+        condition = `${field} IN ${sql}`;
+    } else if (operator === "$nin") {
+        // 子查询结果含 NULL 时 NOT IN 对所有行都不成立，先去掉 NULL
+        const alias = quoteIdentifier("_nin", context);
+        const column = quoteIdentifier("value", context);
+        condition = `${field} NOT IN (SELECT ${alias}.${column} FROM ${sql} AS ${alias} (${column}) WHERE ${alias}.${column} IS NOT NULL)`;
+    } else if (SUBQUERY_COMPARISON_OPERATORS.includes(operator)) {
+        condition = `${field} ${OPERATORS_MYSQL[operator]} ${sql}`;
+    } else {
+        handleError(`操作符 ${operator} 不支持子查询作为操作数，字段 "${field}"`, context, QueryParseError);
+    }
+    params.push(...subParams);
+    // Mongo 语义：$nin / $ne 同时匹配 NULL 与缺失字段
+    if ((operator === "$nin" || operator === "$ne") && useMongoNullSemantics()) {
+        condition = `(${condition} OR ${nullCheckSQL(field, options.fieldInfo)})`;
     }
+    Logger.debug(`子查询处理 (${context}) ${operator} for field ${field}:`, condition);
+    return condition;
 }
 
 /* ============================================================
    聚合查询支持
 ============================================================ */
-function parseGroupStage(groupObj) {
+const GROUP_SQL_FUNCTIONS = {
+    $sum: "SUM",
+    $avg: "AVG",
+    $min: "MIN",
+    $max: "MAX",
+    $stdDevPop: "STDDEV_POP",
+    $stdDevSamp: "STDDEV_SAMP"
+};
+
+function isExpressionOperand(value) {
+    if (!value || typeof value !== "object" || Array.isArray(value) || value instanceof Date) return false;
+    const keys = Object.keys(value);
+    return keys.length === 1 && keys[0].startsWith("$");
+}
+
+/**
+ * 累加器与分组键的操作数："$field"、表达式（经 compileExpression 编译）或常量
+ */
+function accumulatorOperand(operand, params = [], parseOptions = {}) {
+    if (typeof operand === "string" && operand.startsWith("$") && !operand.startsWith("$$")) {
+        return quoteQualifiedIdentifier(operand.substring(1), "parseGroupStage");
+    }
+    if (isExpressionOperand(operand) || (typeof operand === "string" && operand.startsWith("$$"))) {
+        return compileExpression(operand, params, "parseGroupStage", parseOptions);
+    }
+    return quoteLiteral(operand);
+}
+
+/**
+ * $addToSet：JSON_ARRAYAGG 不支持 DISTINCT，将组内数组展开到派生表去重后再聚合
+ * （不经 GROUP_CONCAT 拼接文本，不受 group_concat_max_len 截断）
+ */
+function distinctJsonArraySQL(arraySQL) {
+    return `(SELECT JSON_ARRAYAGG(\`s\`.\`value\`) FROM (SELECT DISTINCT \`t\`.\`value\` `
+        + `FROM JSON_TABLE(${arraySQL}, '$[*]' COLUMNS(\`value\` JSON PATH '$')) AS \`t\`) AS \`s\`)`;
+}
+
+/**
+ * $mergeObjects：展开组内各对象（docs 为其 JSON 数组）的键，相同键以后出现的值为准
+ */
+function mergeObjectsSQL(docs) {
+    return `(SELECT JSON_OBJECTAGG(\`k\`.\`key\`, JSON_EXTRACT(\`d\`.\`doc\`, CONCAT('$.', JSON_QUOTE(\`k\`.\`key\`)))) `
+        + `FROM JSON_TABLE(${docs}, '$[*]' COLUMNS(\`doc\` JSON PATH '$')) AS \`d\`, `
+        + `JSON_TABLE(JSON_KEYS(\`d\`.\`doc\`), '$[*]' COLUMNS(\`key\` VARCHAR(255) PATH '$')) AS \`k\`)`;
+}
+
+/**
+ * 将 $group 之后 $match 中的 "_id.key" 换成对应的分组列或别名，$and / $or / $nor 递归处理
+ */
+function renameGroupFields(query, fieldAliases) {
+    if (Array.isArray(query)) return query.map(item => renameGroupFields(item, fieldAliases));
+    if (!query || typeof query !== "object") return query;
+    const renamed = {};
+    for (const key in query) {
+        if (["$and", "$or", "$nor"].includes(key)) {
+            renamed[key] = renameGroupFields(query[key], fieldAliases);
+        } else {
+            renamed[fieldAliases[key] || key] = query[key];
+        }
+    }
+    return renamed;
+}
+
+/**
+ * 解析 $group 阶段；累加器操作数与 _id 可为表达式，如 { $sum: { $multiply: ["$price", "$qty"] } }、{ $year: "$createdAt" }
+ * @param {Object} groupObj
+ * @param {{sortSpec?: *, parseOptions?: Object}} [options] sortSpec 为 $group 之前的 $sort，决定 $first / $last / $push 的顺序
+ * @returns {{selectClause: string, groupByClause: string, havingClause: string, windowColumns: string[],
+ *            selectParams: Array, windowParams: Array, groupByParams: Array}}
+ *          windowColumns 为 $first / $last 及 $sort 之后的 $push / $mergeObjects 需在分组前计算的窗口列；各片段的参数分开返回，由调用方按 SQL 顺序拼接；
+ *          fieldAliases 为复合 _id 的 "_id.key" 到分组列或别名的映射，供分组后的 $match 使用
+ */
+function parseGroupStage(groupObj, options = {}) {
+    const parseOptions = options.parseOptions || {};
     let selectParts = [];
     let groupByParts = [];
-    let havingParts = []; // 暂未处理 HAVING
+    let havingParts = []; // $group 之后的 $match 由 MongoAggregationBuilder 编译为 HAVING
+    let groupKeys = []; // 参与 GROUP BY 的键：{ val: "$field" 或表达式, alias }
+    let windowColumns = [];
+    const fieldAliases = {};
+    const selectParams = [];
+    const windowParams = [];
+    const groupByParams = [];
     if (groupObj._id) {
-        if (typeof groupObj._id === "object" && !Array.isArray(groupObj._id)) {
-            // 例：{ customer: '$customer_id', date: '$order_date' }
+        if (typeof groupObj._id === "object" && !Array.isArray(groupObj._id) && !isExpressionOperand(groupObj._id)) {
+            // 例：{ customer: '$customer_id', year: { $year: '$order_date' } }
             let subFields = [];
-            let groupFields = [];
             for (let key in groupObj._id) {
-                let val = groupObj._id[key]; // e.g. '$customer_id'
-                if (typeof val === "string" && val.startsWith("$")) {
-                    val = val.substring(1); // 去掉 '$'
+                const val = groupObj._id[key];
+                fieldAliases[`_id.${key}`] = key;
+                if (isExpressionOperand(val)) {
+                    subFields.push(`${accumulatorOperand(val, selectParams, parseOptions)} AS ${quoteIdentifier(key, "parseGroupStage")}`);
+                    groupKeys.push({ val, alias: key });
+                    continue;
+                } else if (typeof val === "string" && val.startsWith("$")) {
+                    // 测试期望：在 SELECT 中直接列出 "customer_id, order_date"
+                    subFields.push(accumulatorOperand(val));
+                    fieldAliases[`_id.${key}`] = val.substring(1);
+                } else {
+                    // 常量分组键不参与 GROUP BY
+                    subFields.push(`${quoteLiteral(val)} AS ${quoteIdentifier(key, "parseGroupStage")}`);
+                    continue;
                 }
-                // 测试期望：在 SELECT 中直接列出 "customer_id, order_date"
-                // 所以我们直接 push val
-                subFields.push(val);
-                groupFields.push(val);
+                groupKeys.push({ val });
             }
-            // 最终 selectParts 中增加 "customer_id, order_date"
-            // 相当于 SELECT customer_id, order_date, ...
             selectParts.push(subFields.join(", "));
-            // GROUP BY customer_id, order_date
-            groupByParts.push(groupFields.join(", "));
-        }else if (typeof groupObj._id === "string" && groupObj._id.startsWith("$")) {
-            const field = groupObj._id.substring(1);
-            selectParts.push(`${field} AS _id`);
-            groupByParts.push(field);
+        } else if (isExpressionOperand(groupObj._id) || (typeof groupObj._id === "string" && groupObj._id.startsWith("$"))) {
+            selectParts.push(`${accumulatorOperand(groupObj._id, selectParams, parseOptions)} AS \`_id\``);
+            groupKeys.push({ val: groupObj._id, alias: "_id" });
         } else {
-            selectParts.push(`'${groupObj._id}' AS _id`);
-            groupByParts.push("_id");
+            selectParts.push(`${quoteLiteral(groupObj._id)} AS \`_id\``);
+            groupByParts.push("`_id`");
         }
     }
+    if (groupKeys.length) {
+        // 含占位符的表达式在 ONLY_FULL_GROUP_BY 下无法与 SELECT 中的表达式匹配，改为按别名分组
+        groupByParts.push(groupKeys.map(({ val, alias }) => {
+            const keyParams = [];
+            const keySQL = accumulatorOperand(val, keyParams, parseOptions);
+            if (keyParams.length && alias) return quoteIdentifier(alias, "parseGroupStage");
+            groupByParams.push(...keyParams);
+            return keySQL;
+        }).join(", "));
+    }
+    const orderBy = options.sortSpec ? buildOrderByClause(options.sortSpec, "parseGroupStage") : "";
+    // 窗口列在分组前按 $sort 的顺序对整组计算，分组后任取其一即可
+    const windowAggregate = (name, func, key, operand) => {
+        const windowAlias = quoteIdentifier(`__${name}_${key}`, "parseGroupStage");
+        const valueSQL = accumulatorOperand(operand, windowParams, parseOptions);
+        const over = [
+            groupKeys.length ? `PARTITION BY ${groupKeys.map(({ val }) => accumulatorOperand(val, windowParams, parseOptions)).join(", ")}` : "",
+            orderBy ? `ORDER BY ${orderBy}` : "",
+            "ROWS BETWEEN UNBOUNDED PRECEDING AND UNBOUNDED FOLLOWING"
+        ].filter(Boolean).join(" ");
+        windowColumns.push(`${func}(${valueSQL}) OVER (${over}) AS ${windowAlias}`);
+        return `ANY_VALUE(${windowAlias})`;
+    };
     for (let key in groupObj) {
         if (key === "_id") continue;
         const operatorObj = groupObj[key];
         const operator = Object.keys(operatorObj)[0];
         const operand = operatorObj[operator];
-        let sqlFunc = "";
+        const alias = quoteIdentifier(key, "parseGroupStage");
+        let accumulatorSQL;
         switch (operator) {
-            case "$sum":
-                sqlFunc = "SUM";
+            case "$count":
+                if (!operand || typeof operand !== "object" || Object.keys(operand).length > 0) {
+                    handleError(`$count 的参数必须为空对象 {}，字段 "${key}"`, "parseGroupStage", QueryParseError);
+                }
+                accumulatorSQL = "COUNT(*)";
+                break;
+            case "$push":
+                // JSON_ARRAYAGG 不支持 ORDER BY：有 $sort 时改用窗口聚合，按窗口顺序累积
+                accumulatorSQL = orderBy
+                    ? windowAggregate("push", "JSON_ARRAYAGG", key, operand)
+                    : `JSON_ARRAYAGG(${accumulatorOperand(operand, selectParams, parseOptions)})`;
                 break;
-            case "$avg":
-                sqlFunc = "AVG";
+            case "$addToSet":
+                accumulatorSQL = distinctJsonArraySQL(`JSON_ARRAYAGG(${accumulatorOperand(operand, selectParams, parseOptions)})`);
                 break;
-            case "$min":
-                sqlFunc = "MIN";
+            case "$mergeObjects":
+                accumulatorSQL = mergeObjectsSQL(orderBy
+                    ? windowAggregate("merge", "JSON_ARRAYAGG", key, operand)
+                    : `JSON_ARRAYAGG(${accumulatorOperand(operand, selectParams, parseOptions)})`);
                 break;
-            case "$max":
-                sqlFunc = "MAX";
+            case "$first":
+            case "$last":
+                accumulatorSQL = windowAggregate(operator.substring(1), operator === "$first" ? "FIRST_VALUE" : "LAST_VALUE", key, operand);
                 break;
-            default:
-                handleError("不支持的聚合操作符: " + operator, "parseGroupStage", SQLGenerationError);
+            default: {
+                const sqlFunc = GROUP_SQL_FUNCTIONS[operator];
+                if (!sqlFunc) {
+                    handleError("不支持的聚合操作符: " + operator, "parseGroupStage", SQLGenerationError);
+                }
+                // Mongo 的 $sum 忽略非数值，常量非数值求和为 0；$sum: 1 按行计数
+                const isConstant = !(typeof operand === "string" && operand.startsWith("$")) && !isExpressionOperand(operand);
+                accumulatorSQL = operator === "$sum" && isConstant && typeof operand !== "number"
+                    ? "0"
+                    : `${sqlFunc}(${accumulatorOperand(operand, selectParams, parseOptions)})`;
+            }
         }
-        let operandStr = (typeof operand === "string" && operand.startsWith("$"))
-            ? operand.substring(1)
-            : (operand !== undefined ? operand : "NULL");
-        selectParts.push(`${sqlFunc}(${operandStr}) AS ${key}`);
+        selectParts.push(`${accumulatorSQL} AS ${alias}`);
     }
+    // 分组结果中可被后续阶段引用的列名；复合 _id 的子键已由 fieldAliases 改写为列名
+    const outputFields = [
+        ...(groupObj._id && Object.keys(fieldAliases).length === 0 ? ["_id"] : Object.values(fieldAliases)),
+        ...Object.keys(groupObj).filter(key => key !== "_id")
+    ];
     return {
         selectClause: selectParts.join(", "),
         groupByClause: groupByParts.join(", "),
-        havingClause: havingParts.join(" AND ")
+        havingClause: havingParts.join(" AND "),
+        windowColumns,
+        fieldAliases,
+        outputFields,
+        selectParams,
+        windowParams,
+        groupByParams
+    };
+}
+
+/* ============================================================
+   聚合管道编译：按阶段顺序生成 SQL，无法并入同一层 SELECT 时嵌套派生表
+============================================================ */
+/**
+ * 一层 SELECT 的各子句。SQL 按 FROM/JOIN -> WHERE -> GROUP BY -> HAVING -> SELECT -> ORDER BY -> LIMIT 求值，
+ * 阶段只有在并入后结果不变时才合并到当前层，否则将当前层包装为派生表
+ */
+function createPipelineBlock(source, sourceParams, alias, parseOptions) {
+    return {
+        source,
+        sourceParams,
+        alias,
+        qualifier: quoteIdentifier(alias, "MongoAggregationBuilder"), // $lookup 的 ON 中引用当前行的前缀
+        parseOptions,
+        joins: [],
+        comments: [],
+        where: [],
+        whereParams: [],
+        group: null,
+        having: [],
+        havingParams: [],
+        select: "*",
+        selectParams: [],
+        projection: null,
+        computedFields: [], // 投影中的计算 / 重命名字段
+        fieldAliases: {}, // 内层复合 _id 的 "_id.key" 到派生表列名的映射
+        outputColumns: null, // 外层 SELECT 显式列出的派生表列（隐藏了带出的排序列）
+        sortSpec: null,
+        sortOnOutput: false, // 排序是否作用于分组或投影后的输出字段
+        order: "",
+        limit: null,
+        offset: null
+    };
+}
+
+function renderPipelineBlock(block, extraColumns = [], extraParams = []) {
+    const select = extraColumns.length > 0 ? `${block.select}, ${extraColumns.join(", ")}` : block.select;
+    let sql = `SELECT ${select} FROM ${block.source}${block.joins.join("")}`;
+    if (block.comments.length > 0) {
+        sql += " " + block.comments.join(" ");
+    }
+    if (block.where.length > 0) {
+        sql += " WHERE " + block.where.join(" AND ");
+    }
+    if (block.group && block.group.groupByClause) {
+        sql += " GROUP BY " + block.group.groupByClause;
+    }
+    if (block.having.length > 0) {
+        sql += " HAVING " + block.having.join(" AND ");
+    }
+    if (block.order) {
+        sql += " ORDER BY " + block.order;
+    }
+    sql += buildLimitClause(block.limit, block.offset);
+    // 按 SQL 中的出现顺序：SELECT、派生表、WHERE、GROUP BY、HAVING
+    const params = [
+        ...block.selectParams,
+        ...extraParams,
+        ...block.sourceParams,
+        ...block.whereParams,
+        ...(block.group ? block.group.groupByParams : []),
+        ...block.havingParams
+    ];
+    return { sql, params };
+}
+
+/**
+ * 将当前层包装为派生表并返回外层。未改变行结构（无分组、投影、JOIN）时派生表沿用当前别名，
+ * 字段引用与 JSON 列声明保持有效；派生表的行序在外层不保证（无 LIMIT 时 MySQL 忽略其 ORDER BY），
+ * 外层重新排序：排序字段仍可用时沿用同一排序，投影去掉或改写了排序字段时由隐藏列带出
+ */
+function wrapPipelineBlock(block, nextAlias, extraColumns = [], extraParams = []) {
+    const context = "MongoAggregationBuilder";
+    if (block.joins.length > 0 && block.select === "*") {
+        handleError("$lookup 之后需先 $project 所需字段才能继续嵌套（派生表中的列名不能重复）", context, SQLGenerationError);
+    }
+    const preserved = !block.group && !block.projection && !block.outputColumns && block.joins.length === 0;
+    const alias = preserved ? block.alias : nextAlias();
+    const carried = block.sortSpec && !preserved && !block.sortOnOutput ? carrySortKeys(block, alias, context) : null;
+    const { sql, params } = carried
+        ? renderPipelineBlock(block, [...extraColumns, ...carried.columns], [...extraParams, ...carried.params])
+        : renderPipelineBlock(block, extraColumns, extraParams);
+    const outer = createPipelineBlock(`(${sql}) AS ${quoteIdentifier(alias, context)}`, params, alias,
+        preserved ? block.parseOptions : buildParseOptions());
+    if (carried) {
+        outer.sortSpec = carried.sortSpec;
+        outer.order = buildOrderByClause(outer.sortSpec, "$sort", [], outer.parseOptions);
+        if (carried.columns.length > 0) {
+            // 隐藏列只用于排序，外层只选出投影的输出列
+            outer.outputColumns = carried.outputs;
+            outer.select = carried.outputs.map(name => `${outer.qualifier}.${quoteIdentifier(name, context)}`).join(", ");
+        }
+    } else if (block.sortSpec && (preserved || block.sortOnOutput)) {
+        // 以派生表别名限定排序字段，避免外层 JOIN 后出现歧义
+        outer.sortSpec = qualifySortSpec(block.sortSpec, alias);
+        outer.order = buildOrderByClause(outer.sortSpec, "$sort", [], outer.parseOptions);
+    }
+    if (block.group && !block.projection) {
+        outer.fieldAliases = block.group.fieldAliases;
+    }
+    return outer;
+}
+
+/**
+ * 投影之前的排序在包装时的外层排序：投影中原样保留的列以派生表别名引用，其余排序项作为隐藏列
+ * __sort0、__sort1… 带出派生表
+ * @returns {{columns: string[], params: Array, sortSpec: Array, outputs: string[]|null}}
+ */
+function carrySortKeys(block, alias, context) {
+    const outputs = block.projection
+        ? projectionOutputNames(block.projection, block.parseOptions, context)
+        : block.outputColumns;
+    const columns = [];
+    const params = [];
+    const sortSpec = [];
+    for (const [key, direction] of sortSpecEntries(block.sortSpec)) {
+        // 上一次包装带出的列以内层别名限定
+        const name = !block.projection && key.startsWith(block.alias + ".") ? key.substring(block.alias.length + 1) : key;
+        const kept = block.projection ? sortsOnBaseColumns({ [key]: 1 }, block.projection) : outputs.includes(name);
+        if (kept && !isTextScoreMeta(direction)) {
+            sortSpec.push([`${alias}.${name}`, direction]);
+            continue;
+        }
+        sortKeyTerms(key, direction, params, block.parseOptions, context).forEach(([sql, sqlDirection]) => {
+            const column = `__sort${columns.length}`;
+            columns.push(`${sql} AS ${quoteIdentifier(column, context)}`);
+            sortSpec.push([`${alias}.${column}`, sqlDirection]);
+        });
+    }
+    if (columns.length > 0 && !outputs) {
+        handleError("$project 去掉了 $sort 的字段且无法确定投影的输出列，之后的阶段无法保持排序；请在投影中保留排序字段",
+            context, SQLGenerationError);
+    }
+    return { columns, params, sortSpec, outputs };
+}
+
+/**
+ * 投影输出的列名；排除模式或以 * 保留其余列的投影无法静态确定，返回 null
+ */
+function projectionOutputNames(projection, options, context) {
+    if (Array.isArray(projection)) {
+        return projection.some(field => field.endsWith("*")) ? null : projection.map(field => field.split(".").pop());
+    }
+    const keys = Object.keys(projection).filter(key => !(isProjectionFlag(projection[key]) && !projection[key]));
+    const inclusions = keys.filter(key => !isArrayProjection(projection[key]));
+    if (inclusions.length === 0 || inclusions.every(key => isTextScoreMeta(projection[key]))) return null;
+    const joined = !!options.tableName && Object.keys(options.tables || {}).length > 1;
+    return keys.map(key => {
+        if (!key.includes(".") || !(isProjectionFlag(projection[key]) || isArrayProjection(projection[key]))) return key;
+        const fieldInfo = resolveField(key, options, context);
+        // 与 buildProjectionClause 的别名一致：JSON 路径、数组投影与关联表的列为 a_b，其余为限定列名
+        return (fieldInfo.isJson && fieldInfo.path) || isArrayProjection(projection[key]) || joined
+            ? key.replace(/\./g, "_")
+            : key.split(".").pop();
+    });
+}
+
+function qualifySortSpec(sortSpec, alias) {
+    const qualify = key => (key.includes(".") ? key : `${alias}.${key}`);
+    if (Array.isArray(sortSpec)) return sortSpec.map(([key, dir]) => [qualify(key), dir]);
+    if (sortSpec && typeof sortSpec === "object") {
+        return Object.fromEntries(Object.entries(sortSpec).map(([key, dir]) => [qualify(key), dir]));
+    }
+    return sortSpec;
+}
+
+/**
+ * 将表达式 / 累加器中的 "$_id.key" 引用换成派生表中的列名
+ */
+function renameFieldReferences(value, fieldAliases) {
+    if (typeof value === "string" && value.startsWith("$") && !value.startsWith("$$")) {
+        const name = value.substring(1);
+        return fieldAliases[name] ? "$" + fieldAliases[name] : value;
+    }
+    if (Array.isArray(value)) return value.map(item => renameFieldReferences(item, fieldAliases));
+    if (value && typeof value === "object" && !(value instanceof Date) && !(value instanceof RegExp)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renameFieldReferences(item, fieldAliases)]));
+    }
+    return value;
+}
+
+/**
+ * 条件中是否引用了给定字段（含 $and / $or / $nor 内部及其子路径）；$expr 无法静态分析，按引用处理
+ */
+function referencesFields(query, fields) {
+    if (fields.length === 0 || !query || typeof query !== "object") return false;
+    if (Array.isArray(query)) return query.some(item => referencesFields(item, fields));
+    return Object.keys(query).some(key => {
+        if (["$and", "$or", "$nor"].includes(key)) return referencesFields(query[key], fields);
+        if (key === "$expr") return true;
+        return fields.some(field => key === field || key.startsWith(field + "."));
+    });
+}
+
+/**
+ * $match 中引用、但对象投影输出里不存在的字段（Mongo 中这些字段已缺失，不能再按原表的列过滤）。
+ * 数组形式的投影相当于 SELECT 列清单，之后的条件仍按原表的行过滤
+ */
+function missingProjectionFields(projection, query) {
+    const fields = queryFieldNames(query);
+    if (!fields || Array.isArray(projection)) return [];
+    const entries = Object.entries(projection);
+    const excluded = entries.filter(([, value]) => isProjectionFlag(value) && !value).map(([key]) => key);
+    let isPresent;
+    if (excluded.length === entries.length) {
+        isPresent = field => !excluded.some(key => field === key || field.startsWith(key + "."));
+    } else {
+        // 包含模式下 _id 默认保留
+        const outputs = entries.filter(([, value]) => !isProjectionFlag(value) || value).map(([key]) => key);
+        isPresent = field => outputs.some(key => field === key || field.startsWith(key + ".") || key.startsWith(field + "."))
+            || (field === "_id" && !excluded.includes("_id"));
+    }
+    return [...new Set(fields.filter(field => !isPresent(field)))];
+}
+
+/**
+ * 投影引用的输入字段：包含的字段与计算字段中的 "$field"（不含 "$$" 变量与排除的字段）
+ */
+function projectionFieldRefs(projection) {
+    if (Array.isArray(projection)) return projection;
+    const refs = [];
+    const collect = value => {
+        if (typeof value === "string" && value.startsWith("$") && !value.startsWith("$$")) {
+            refs.push(value.substring(1));
+        } else if (Array.isArray(value)) {
+            value.forEach(collect);
+        } else if (value && typeof value === "object" && !(value instanceof Date) && !(value instanceof RegExp)) {
+            Object.values(value).forEach(collect);
+        }
     };
+    Object.entries(projection).forEach(([key, value]) => {
+        if (isProjectionFlag(value)) {
+            if (value) refs.push(key);
+        } else if (isArrayProjection(value)) {
+            refs.push(key);
+        } else if (!isTextScoreMeta(value)) {
+            collect(value);
+        }
+    });
+    return refs;
+}
+
+/**
+ * 外层阶段中引用内层复合 _id 子键（"_id.key"）的字段名与表达式改写为派生表列名
+ */
+function renameStageFields(stage, fieldAliases) {
+    if (Object.keys(fieldAliases).length === 0) return stage;
+    const renameKey = key => fieldAliases[key] || key;
+    if (stage.$match) return { $match: renameFieldReferences(renameGroupFields(stage.$match, fieldAliases), fieldAliases) };
+    if (stage.$group) return { $group: renameFieldReferences(stage.$group, fieldAliases) };
+    if (stage.$project && !Array.isArray(stage.$project)) {
+        return { $project: renameFieldReferences(stage.$project, fieldAliases) };
+    }
+    if (stage.$sort && typeof stage.$sort === "object") {
+        return {
+            $sort: Array.isArray(stage.$sort)
+                ? stage.$sort.map(([key, dir]) => [renameKey(key), dir])
+                : Object.fromEntries(Object.entries(stage.$sort).map(([key, dir]) => [renameKey(key), dir]))
+        };
+    }
+    return stage;
+}
+
+/* ============================================================
+   聚合管道优化：与 MongoDB 的管道优化对应，只做不改变结果的阶段改写
+============================================================ */
+/**
+ * 条件中引用的字段名（含 $and / $or / $nor 内部）；包含 $expr、$text 等无法静态分析的部分时返回 null
+ */
+function queryFieldNames(query) {
+    if (!query || typeof query !== "object") return [];
+    if (Array.isArray(query)) {
+        const lists = query.map(queryFieldNames);
+        return lists.includes(null) ? null : lists.flat();
+    }
+    const names = [];
+    for (const key of Object.keys(query)) {
+        if (["$and", "$or", "$nor"].includes(key)) {
+            const nested = queryFieldNames(query[key]);
+            if (nested === null) return null;
+            names.push(...nested);
+        } else if (key.startsWith("$")) {
+            return null;
+        } else {
+            names.push(key);
+        }
+    }
+    return names;
+}
+
+/**
+ * 表达式 / 累加器中以 "$field" 引用的字段名
+ */
+function expressionFieldNames(value) {
+    if (typeof value === "string") {
+        return value.startsWith("$") && !value.startsWith("$$") ? [value.substring(1)] : [];
+    }
+    if (Array.isArray(value)) return value.flatMap(expressionFieldNames);
+    if (value && typeof value === "object" && !(value instanceof Date) && !(value instanceof RegExp)) {
+        return Object.values(value).flatMap(expressionFieldNames);
+    }
+    return [];
+}
+
+/**
+ * 排序说明的 [field, direction] 列表（字符串形式按 "field DIR" 拆分）
+ */
+function sortSpecEntries(sortSpec) {
+    if (typeof sortSpec === "string") {
+        return sortSpec.split(",").map(part => {
+            const [field, direction = "ASC"] = part.trim().split(/\s+/);
+            return [field, direction];
+        });
+    }
+    return Array.isArray(sortSpec) ? sortSpec : Object.entries(sortSpec);
+}
+
+function sortFieldNames(sortSpec) {
+    if (typeof sortSpec === "string") return sortSpec.split(",").map(part => part.trim().split(/\s+/)[0]);
+    if (Array.isArray(sortSpec)) return sortSpec.map(([key]) => key);
+    return Object.keys(sortSpec);
+}
+
+function isSameOrSubPath(field, path) {
+    return field === path || field.startsWith(path + ".");
+}
+
+/**
+ * 将 $match 拆为顶层 AND 的各个条件；合并时键名不冲突则并回同一对象，保持生成的 SQL 不变
+ */
+function splitConjuncts(query) {
+    return Object.keys(query).flatMap(key =>
+        key === "$and" && Array.isArray(query.$and) && query.$and.length > 0 ? query.$and : [{ [key]: query[key] }]
+    );
+}
+
+function combineConjuncts(conjuncts) {
+    if (conjuncts.length === 1) return conjuncts[0];
+    const keys = conjuncts.flatMap(Object.keys);
+    if (new Set(keys).size === keys.length && !keys.includes("$and")) return Object.assign({}, ...conjuncts);
+    return { $and: conjuncts };
+}
+
+/**
+ * $match 可前移到该阶段之前时，返回判断单个字段能否前移的函数；不能越过的阶段返回 null
+ */
+function pushdownFieldFilter(stage) {
+    if (stage.$sort) return () => true;
+    if (stage.$lookup) return field => !isSameOrSubPath(field, stage.$lookup.as);
+    if (stage.$project) {
+        const projection = stage.$project;
+        // 数组投影只输出列名，带表前缀的列改名后不能按原名前移
+        if (Array.isArray(projection)) return field => projection.includes(field) && !field.includes(".");
+        const entries = Object.entries(projection);
+        const included = entries.filter(([, value]) => isProjectionFlag(value) && value).map(([key]) => key);
+        const excluded = entries.filter(([, value]) => isProjectionFlag(value) && !value).map(([key]) => key);
+        if (entries.every(([, value]) => isProjectionFlag(value) && !value)) {
+            // 排除式投影：未排除的字段原样保留
+            return field => !excluded.some(key => isSameOrSubPath(field, key));
+        }
+        // 包含式投影：仅原样包含的字段可前移，计算字段与 $slice / $elemMatch 等需在投影之后判断
+        return field => included.some(key => isSameOrSubPath(field, key));
+    }
+    return null;
+}
+
+function describeStage(stage) {
+    const name = Object.keys(stage)[0];
+    return name === "$lookup" ? `$lookup(${stage.$lookup.as})` : name;
+}
+
+/**
+ * 相邻两个阶段的改写规则：返回替换后的阶段与说明，不适用时返回 null
+ */
+const PIPELINE_REWRITE_RULES = [
+    // 相邻的 $match 合并为一个
+    (first, second) => first.$match && second.$match && {
+        stages: [{ $match: combineConjuncts([...splitConjuncts(first.$match), ...splitConjuncts(second.$match)]) }],
+        description: "合并相邻的 $match"
+    },
+    // 相邻的 $sort 以后者为准
+    (first, second) => first.$sort && second.$sort && {
+        stages: [second],
+        description: "相邻的 $sort 以后一个为准"
+    },
+    (first, second) => "$limit" in first && "$limit" in second && {
+        stages: [{ $limit: Math.min(first.$limit, second.$limit) }],
+        description: "合并相邻的 $limit"
+    },
+    (first, second) => "$skip" in first && "$skip" in second && {
+        stages: [{ $skip: first.$skip + second.$skip }],
+        description: "合并相邻的 $skip"
+    },
+    // $project 不改变行数：$limit / $skip 前移后与之前的 $sort 合并为 top-N（ORDER BY ... LIMIT）
+    (first, second) => first.$project && ("$limit" in second || "$skip" in second) && {
+        stages: [second, first],
+        description: `${"$limit" in second ? "$limit" : "$skip"} 前移到 $project 之前`
+    },
+    // 只引用原有字段的条件前移到 $sort / $lookup / $project 之前，尽早过滤
+    (first, second) => {
+        if (!second.$match) return null;
+        const canPush = pushdownFieldFilter(first);
+        if (!canPush) return null;
+        const pushed = [];
+        const kept = [];
+        for (const conjunct of splitConjuncts(second.$match)) {
+            const fields = queryFieldNames(conjunct);
+            (fields !== null && fields.every(canPush) ? pushed : kept).push(conjunct);
+        }
+        if (pushed.length === 0) return null;
+        return {
+            stages: [{ $match: combineConjuncts(pushed) }, first, ...(kept.length > 0 ? [{ $match: combineConjuncts(kept) }] : [])],
+            description: `$match 前移到 ${describeStage(first)} 之前`
+        };
+    },
+    // $group 之后只保留部分累加结果的包含式投影并入 $group（_id 默认保留）
+    (first, second) => {
+        if (!first.$group || !second.$project || Array.isArray(second.$project)) return null;
+        const entries = Object.entries(second.$project);
+        const foldable = entries.every(([key, value]) => isProjectionFlag(value) && value
+            && (key === "_id" || (Object.prototype.hasOwnProperty.call(first.$group, key) && !key.includes("."))));
+        if (!foldable) return null;
+        const group = { _id: first.$group._id };
+        entries.forEach(([key]) => {
+            if (key !== "_id") group[key] = first.$group[key];
+        });
+        return { stages: [{ $group: group }], description: "包含式 $project 并入之前的 $group" };
+    }
+];
+
+/**
+ * 投影之后各阶段引用的字段，直到下一个重新定义输出的 $group / $project；之后无此类阶段（投影字段即输出）或无法分析时返回 null
+ */
+function downstreamFieldNames(stages, start) {
+    const names = [];
+    for (let i = start; i < stages.length; i++) {
+        const stage = stages[i];
+        if (stage.$match) {
+            const fields = queryFieldNames(stage.$match);
+            if (fields === null) return null;
+            names.push(...fields);
+        } else if (stage.$sort) {
+            names.push(...sortFieldNames(stage.$sort));
+        } else if ("$limit" in stage || "$skip" in stage) {
+            continue;
+        } else if (stage.$lookup) {
+            names.push(stage.$lookup.localField);
+        } else if (stage.$unwind) {
+            names.push(String(stage.$unwind).replace(/^\$/, ""));
+        } else if (stage.$group) {
+            return [...names, ...expressionFieldNames(stage.$group)];
+        } else if (stage.$project) {
+            const projection = stage.$project;
+            if (Array.isArray(projection)) return [...names, ...projection];
+            const entries = Object.entries(projection);
+            if (entries.every(([, value]) => isProjectionFlag(value) && !value)) return null;
+            entries.forEach(([key, value]) => {
+                if (isProjectionFlag(value) ? value : isArrayProjection(value)) names.push(key);
+            });
+            return [...names, ...expressionFieldNames(projection)];
+        } else {
+            return null;
+        }
+    }
+    return null;
+}
+
+/**
+ * 删除包含式 $project 中后续阶段未引用的字段；剩余字段都原样包含且覆盖全部引用时整个 $project 可省略
+ */
+function pruneProjections(stages, rewrites) {
+    let changed = false;
+    for (let i = 0; i < stages.length; i++) {
+        const projection = stages[i].$project;
+        if (!projection || Array.isArray(projection)) continue;
+        const entries = Object.entries(projection);
+        if (entries.every(([, value]) => isProjectionFlag(value) && !value)) continue;
+        const used = downstreamFieldNames(stages, i + 1);
+        if (used === null) continue;
+        const isUsed = key => used.some(field => isSameOrSubPath(field, key) || isSameOrSubPath(key, field));
+        const kept = entries.filter(([key, value]) => (isProjectionFlag(value) && !value) || isUsed(key));
+        const plainOnly = kept.every(([, value]) => isProjectionFlag(value));
+        const covered = used.every(field => kept.some(([key, value]) => value && isSameOrSubPath(field, key)));
+        if (plainOnly && covered) {
+            stages.splice(i, 1);
+            i--;
+            rewrites.push("省略只包含后续所需字段的 $project");
+            changed = true;
+        } else if (kept.length < entries.length) {
+            const removed = entries.filter(entry => !kept.includes(entry)).map(([key]) => key);
+            stages[i] = { $project: Object.fromEntries(kept) };
+            rewrites.push(`删除 $project 中未使用的字段: ${removed.join(", ")}`);
+            changed = true;
+        }
+    }
+    return changed;
+}
+
+/**
+ * 反复应用改写规则直至不再变化
+ * @param {Array<Object>} pipeline
+ * @returns {{pipeline: Array<Object>, rewrites: string[]}}
+ */
+function optimizePipeline(pipeline) {
+    const stages = pipeline.slice();
+    const rewrites = [];
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (let i = 0; i + 1 < stages.length; i++) {
+            for (const rule of PIPELINE_REWRITE_RULES) {
+                const rewrite = rule(stages[i], stages[i + 1]);
+                if (rewrite) {
+                    stages.splice(i, 2, ...rewrite.stages);
+                    rewrites.push(rewrite.description);
+                    changed = true;
+                    break;
+                }
+            }
+        }
+        changed = pruneProjections(stages, rewrites) || changed;
+    }
+    return { pipeline: stages, rewrites };
+}
+
+/**
+ * 调试输出用：正则与子查询无法直接 JSON 序列化
+ */
+function formatPipeline(pipeline) {
+    return JSON.stringify(pipeline, (key, value) => {
+        if (value instanceof RegExp) return value.toString();
+        if (value instanceof SubQuery) return "[SubQuery]";
+        return value;
+    });
 }
 
 class MongoAggregationBuilder {
     constructor(tableName) {
         this.tableName = tableName;
         this.pipeline = [];
-        this.joinClause = ""; // 用于 $lookup 生成 JOIN 子句
+        this.optimizationEnabled = true;
     }
     match(query) {
         this.pipeline.push({ $match: query });
@@ -549,89 +2750,164 @@ class MongoAggregationBuilder {
         this.pipeline.push({ $unwind: field });
         return this;
     }
+    /**
+     * $skip 不小于 minOffset 时改写为延迟关联（仅适用于无 $group / $lookup 的管道）
+     * @param {{primaryKey?: string, minOffset?: number}} [options]
+     */
+    deferredJoin(options = {}) {
+        this.deferredJoinOptions = normalizeDeferredJoinOptions(options);
+        return this;
+    }
+    /**
+     * 是否在生成 SQL 前优化管道（默认开启）
+     * @param {boolean} [enabled=true]
+     */
+    optimize(enabled = true) {
+        this.optimizationEnabled = enabled;
+        return this;
+    }
+    /**
+     * 打印优化前后的管道及所做的改写，便于调试
+     * @returns {{before: Array<Object>, after: Array<Object>, rewrites: string[]}}
+     */
+    explainPipeline() {
+        const { pipeline, rewrites } = optimizePipeline(this.pipeline);
+        Logger.info("优化前的管道:", formatPipeline(this.pipeline));
+        Logger.info("优化后的管道:", formatPipeline(pipeline));
+        Logger.info("管道改写:", rewrites.length > 0 ? rewrites.join("; ") : "无");
+        return { before: this.pipeline, after: pipeline, rewrites };
+    }
     toSQL() {
-        let params = [];
-        let whereConditions = [];
-        let groupClause = "";
-        let havingClause = "";
-        let selectClause = "*";
-        let orderClause = "";
-        let limitClause = "";
-        let offsetClause = "";
-        let comments = []; // 用于保存 $unwind 等阶段的注释
+        const context = "MongoAggregationBuilder";
+        let pipeline = this.pipeline;
+        if (this.optimizationEnabled) {
+            const result = optimizePipeline(this.pipeline);
+            pipeline = result.pipeline;
+            if (result.rewrites.length > 0) {
+                Logger.debug("管道改写:", result.rewrites.join("; "));
+            }
+        }
+        let stageCount = 0;
+        const nextAlias = () => `_stage${++stageCount}`;
+        let block = createPipelineBlock(quoteQualifiedIdentifier(this.tableName, context), [],
+            this.tableName.split(".").pop(), buildParseOptions(this.tableName));
+        block.qualifier = quoteQualifiedIdentifier(this.tableName, context);
+        const wrap = (extraColumns, extraParams) => {
+            block = wrapPipelineBlock(block, nextAlias, extraColumns, extraParams);
+        };
+        const isLimited = () => block.limit !== null || block.offset !== null;
 
-        for (let stage of this.pipeline) {
+        for (const stage of pipeline) {
+            // 包装后再取阶段内容：外层引用内层复合 _id 子键时需改写为派生表列名
+            const current = () => renameStageFields(stage, block.fieldAliases);
             if (stage.$match) {
-                let conditionStr = parseMongoQuery(stage.$match, params, "$match");
+                if (isLimited()) wrap();
+                if (block.group) {
+                    // $group 之后的条件作用于分组结果：按输出字段（别名）编译为 HAVING
+                    const conditionStr = parseMongoQuery(renameGroupFields(current().$match, block.group.fieldAliases),
+                        block.havingParams, "$match(HAVING)", buildParseOptions());
+                    if (conditionStr && conditionStr !== "1=1") {
+                        block.having.push(conditionStr);
+                    }
+                    continue;
+                }
+                // 对象投影已去掉的字段在 Mongo 中为缺失，不能按原表的同名列过滤
+                const missingFields = block.projection ? missingProjectionFields(block.projection, stage.$match) : [];
+                // 引用投影中的计算字段时需先在派生表中求值
+                if (block.projection && referencesFields(stage.$match, block.computedFields)) wrap();
+                const matchOptions = missingFields.length > 0 ? { ...block.parseOptions, missingFields } : block.parseOptions;
+                const conditionStr = parseMongoQuery(current().$match, block.whereParams, "$match", matchOptions);
                 if (conditionStr) {
-                    whereConditions.push(conditionStr);
+                    block.where.push(conditionStr);
                 }
             } else if (stage.$group) {
-                const groupResult = parseGroupStage(stage.$group);
-                selectClause = groupResult.selectClause;
-                groupClause = groupResult.groupByClause;
-                havingClause = groupResult.havingClause;
+                if (block.group || block.projection || isLimited()) wrap();
+                // 分组前的排序只影响组内顺序（$first / $last / $push），不决定输出顺序
+                const sortSpec = block.sortSpec;
+                block.sortSpec = null;
+                block.order = "";
+                const groupResult = parseGroupStage(current().$group, { sortSpec, parseOptions: block.parseOptions });
+                if (groupResult.windowColumns.length > 0) {
+                    if (block.joins.length > 0) {
+                        handleError("$first / $last 及 $sort 之后的 $push / $mergeObjects 暂不支持与 $lookup 同时使用", context, SQLGenerationError);
+                    }
+                    // 窗口列在派生表中按分组前的行计算，派生表沿用当前别名以便字段引用保持不变
+                    wrap(groupResult.windowColumns, groupResult.windowParams);
+                }
+                block.group = groupResult;
+                block.select = groupResult.selectClause;
+                block.selectParams = groupResult.selectParams;
             } else if (stage.$project) {
-                if (Array.isArray(stage.$project)) {
-                    if(selectClause === "*") {
-                        selectClause = stage.$project.join(", ");
-                    }else{
-                        selectClause = `${stage.$project.join(", ")}, ${selectClause}`;
+                const groupOutputs = block.group && !block.projection ? block.group.outputFields : null;
+                if (block.group || block.projection) wrap();
+                const projection = current().$project;
+                if (groupOutputs) {
+                    const unknown = projectionFieldRefs(projection).filter(field => !groupOutputs.includes(field.split(".")[0]));
+                    if (unknown.length > 0) {
+                        handleError(`$project 引用了 $group 未输出的字段: ${[...new Set(unknown)].join(", ")}`, "$project", QueryParseError);
                     }
                 }
-
-            }else if (stage.$sort) {
-                let sortArr = [];
-                for (let key in stage.$sort) {
-                    let direction = stage.$sort[key] === -1 ? "DESC" : "ASC";
-                    sortArr.push(`${key} ${direction}`);
+                block.selectParams = [];
+                if (Array.isArray(projection)) {
+                    block.select = projection.map(field => quoteQualifiedIdentifier(field, "$project", true)).join(", ");
+                    block.computedFields = [];
+                } else {
+                    block.select = buildProjectionClause(projection, block.selectParams, block.parseOptions, "$project");
+                    block.computedFields = Object.keys(projection)
+                        .filter(key => !isProjectionFlag(projection[key]) && !isTextScoreMeta(projection[key]));
                 }
-                orderClause = sortArr.join(", ");
-            } else if (stage.$limit) {
-                limitClause = stage.$limit;
-            } else if (stage.$skip) {
-                offsetClause = stage.$skip;
+                block.projection = projection;
+            } else if (stage.$sort) {
+                if (isLimited()) wrap();
+                block.sortSpec = current().$sort;
+                block.order = buildOrderByClause(block.sortSpec, "$sort");
+                block.sortOnOutput = !!(block.group || block.projection);
+            } else if ("$limit" in stage) {
+                const limit = assertNonNegativeInteger(stage.$limit, "$limit", context);
+                block.limit = block.limit === null ? limit : Math.min(block.limit, limit);
+            } else if ("$skip" in stage) {
+                // 先 limit 后 skip：跳过的行从已限制的行数中扣除
+                const skip = assertNonNegativeInteger(stage.$skip, "$skip", context);
+                block.offset = (block.offset || 0) + skip;
+                if (block.limit !== null) block.limit = Math.max(block.limit - skip, 0);
             } else if (stage.$lookup) {
+                if (block.group || block.projection || isLimited()) wrap();
                 const { from, localField, foreignField, as } = stage.$lookup;
-                this.joinClause += ` LEFT JOIN ${from} AS ${as} ON ${this.tableName}.${localField} = ${as}.${foreignField}`;
+                const quotedAs = quoteIdentifier(as, "$lookup");
+                block.joins.push(` LEFT JOIN ${quoteQualifiedIdentifier(from, "$lookup")} AS ${quotedAs} ON ${block.qualifier}.${quoteQualifiedIdentifier(localField, "$lookup")} = ${quotedAs}.${quoteQualifiedIdentifier(foreignField, "$lookup")}`);
+                if (block.outputColumns) {
+                    // 外层显式列出了派生表的列时，关联表的列需一并选出
+                    block.select += `, ${quotedAs}.*`;
+                }
+                block.parseOptions.tables[as] = from;
             } else if (stage.$unwind) {
-                comments.push(`/* UNWIND(${stage.$unwind}) */`);
+                // 注释中仅输出经过校验的字段名，避免通过 */ 注入
+                const unwindPath = String(stage.$unwind).replace(/^\$/, "");
+                unwindPath.split(".").forEach(part => assertIdentifier(part, "$unwind"));
+                block.comments.push(`/* UNWIND(${unwindPath}) */`);
             }
         }
 
-        let sql = "SELECT " + selectClause + " FROM " + this.tableName;
-
-        if (groupClause) {
-            sql = "SELECT " + selectClause + " FROM " + this.tableName;
-        }
-
-        if (this.joinClause) {
-            sql += this.joinClause;
-        }
-        if (comments.length > 0) {
-            sql += " " + comments.join(" ");
-        }
-        if (whereConditions.length > 0) {
-            sql += " WHERE " + whereConditions.join(" AND ");
-        }
-        if (groupClause) {
-            sql += " GROUP BY " + groupClause;
-        }
-        if (havingClause) {
-            sql += " HAVING " + havingClause;
-        }
-        if (orderClause) {
-            sql += " ORDER BY " + orderClause;
-        }
-        if (limitClause) {
-            sql += " LIMIT " + limitClause;
-            if (offsetClause) {
-                sql += " OFFSET " + offsetClause;
-            }
-        } else if (offsetClause) {
-            sql += " LIMIT 18446744073709551615 OFFSET " + offsetClause;
+        const isSimple = stageCount === 0 && !block.group && block.joins.length === 0 && block.comments.length === 0;
+        const skipReason = !isSimple ? "查询包含 JOIN 或分组"
+            : (block.sortOnOutput && !sortsOnBaseColumns(block.sortSpec, block.projection) ? "排序字段不是原表的列" : "");
+        if (shouldDeferJoin(this.deferredJoinOptions, block.offset, skipReason, context)) {
+            const sql = buildDeferredJoinSQL({
+                tableName: this.tableName,
+                primaryKey: this.deferredJoinOptions.primaryKey,
+                selectClause: block.select,
+                whereClause: block.where.join(" AND "),
+                orderByClause: block.order,
+                outerOrderByClause: block.order,
+                limitClause: buildLimitClause(block.limit, block.offset),
+                context
+            });
+            const params = [...block.selectParams, ...block.whereParams];
+            Logger.info("生成的 SQL:", sql, "参数:", params);
+            return { sql, params };
         }
 
+        const { sql, params } = renderPipelineBlock(block);
         Logger.info("生成的 SQL:", sql, "参数:", params);
         return { sql, params };
     }
@@ -704,21 +2980,22 @@ class MongoUpdateBuilder {
                             if (updateOps.$set[field] === undefined) {
                                 handleError(`字段 ${field} 不能设置为 undefined`, "MongoUpdateBuilder.toSQL", SQLGenerationError);
                             }
-                            setClauses.push(`${field} = ?`);
+                            setClauses.push(`${quoteQualifiedIdentifier(field, "MongoUpdateBuilder.toSQL")} = ?`);
                             params.push(updateOps.$set[field]);
                         }
                         break;
 
                     case "$inc":
                         for (let field in updateOps.$inc) {
-                            setClauses.push(`${field} = ${field} + ?`);
+                            const column = quoteQualifiedIdentifier(field, "MongoUpdateBuilder.toSQL");
+                            setClauses.push(`${column} = ${column} + ?`);
                             params.push(updateOps.$inc[field]);
                         }
                         break;
                     case "$unset":
                         if (typeof updateOps.$unset === "object") {
                             for (let field in updateOps.$unset) {
-                                setClauses.push(`${field} = NULL`);
+                                setClauses.push(`${quoteQualifiedIdentifier(field, "MongoUpdateBuilder.toSQL")} = NULL`);
                             }
                         } else {
                             handleError("无效的 $unset 语法，应为 { field1: '', field2: '' }", "MongoUpdateBuilder", SQLGenerationError);
@@ -726,7 +3003,8 @@ class MongoUpdateBuilder {
                         break;
                     case "$mul":
                         for (let field in updateOps.$mul) {
-                            setClauses.push(`${field} = ${field} * ?`);
+                            const column = quoteQualifiedIdentifier(field, "MongoUpdateBuilder.toSQL");
+                            setClauses.push(`${column} = ${column} * ?`);
                             params.push(updateOps.$mul[field]);
                         }
                         break;
@@ -737,8 +3015,8 @@ class MongoUpdateBuilder {
             if (setClauses.length === 0) {
                 handleError("未指定更新字段。", "MongoUpdateBuilder", SQLGenerationError);
             }
-            sql = `UPDATE ${this.tableName} SET ${setClauses.join(", ")}`;
-            let whereClause = parseMongoQuery(this.filter, params, "UPDATE");
+            sql = `UPDATE ${quoteQualifiedIdentifier(this.tableName, "MongoUpdateBuilder")} SET ${setClauses.join(", ")}`;
+            let whereClause = parseMongoQuery(this.filter, params, "UPDATE", buildParseOptions(this.tableName));
             sql += ` WHERE ${whereClause}`;
         } else if (this.dataArray) {
             if (this.dataArray.length === 0) {
@@ -756,14 +3034,16 @@ class MongoUpdateBuilder {
             if (updateColumns.length === 0) {
                 handleError("批量更新时，未检测到有效字段。", "MongoUpdateBuilder", SQLGenerationError);
             }
+            const quotedIdField = quoteQualifiedIdentifier(this.idField, "MongoUpdateBuilder");
             let setClauses = updateColumns.map(col => {
+                const column = quoteQualifiedIdentifier(col, "MongoUpdateBuilder");
                 let cases = this.dataArray.map(obj => {
                     if (obj.hasOwnProperty(col)) {
                         return `WHEN ? THEN ?`;
                     }
                     return "";
                 }).filter(x => x !== "").join(" ");
-                return `${col} = CASE ${this.idField} ${cases} ELSE ${col} END`;
+                return `${column} = CASE ${quotedIdField} ${cases} ELSE ${column} END`;
             });
             let caseParams = [];
             updateColumns.forEach(col => {
@@ -776,13 +3056,13 @@ class MongoUpdateBuilder {
             });
             const ids = this.dataArray.map(obj => obj[this.idField]);
             const placeholders = ids.map(() => "?").join(", ");
-            let bulkWhereClause = `${this.idField} IN (${placeholders})`;
+            let bulkWhereClause = `${quotedIdField} IN (${placeholders})`;
             let extraParams = [];
-            let extraCondition = parseMongoQuery(this.filter, extraParams, "BULK_UPDATE");
+            let extraCondition = parseMongoQuery(this.filter, extraParams, "BULK_UPDATE", buildParseOptions(this.tableName));
             if (extraCondition !== "1=1") {
                 bulkWhereClause += ` AND (${extraCondition})`;
             }
-            sql = `UPDATE ${this.tableName} SET ${setClauses.join(", ")} WHERE ${bulkWhereClause}`;
+            sql = `UPDATE ${quoteQualifiedIdentifier(this.tableName, "MongoUpdateBuilder")} SET ${setClauses.join(", ")} WHERE ${bulkWhereClause}`;
             params = caseParams.concat(ids, extraParams);
         } else {
             handleError("未指定更新数据。", "MongoUpdateBuilder", SQLGenerationError);
@@ -821,8 +3101,8 @@ class MongoDeleteBuilder {
             handleError("删除操作必须指定查询条件，防止误删除所有记录。", "MongoDeleteBuilder", SQLGenerationError);
         }
         let params = [];
-        let whereClause = parseMongoQuery(this.filter, params, "DELETE");
-        let sql = `DELETE FROM ${this.tableName} WHERE ${whereClause}`;
+        let whereClause = parseMongoQuery(this.filter, params, "DELETE", buildParseOptions(this.tableName));
+        let sql = `DELETE FROM ${quoteQualifiedIdentifier(this.tableName, "MongoDeleteBuilder")} WHERE ${whereClause}`;
         if (this.singleDelete) {
             sql += " LIMIT 1";
         }
@@ -853,15 +3133,19 @@ class MongoInsertBuilder {
         return this;
     }
     toSQL() {
+        const tableName = quoteQualifiedIdentifier(this.tableName, "MongoInsertBuilder");
         if (this.doc) {
             const keys = Object.keys(this.doc);
-            const columns = keys.join(", ");
+            const columns = keys.map(key => quoteIdentifier(key, "MongoInsertBuilder")).join(", ");
             const placeholders = keys.map(() => "?").join(", ");
-            let sql = `INSERT INTO ${this.tableName} (${columns}) VALUES (${placeholders})`;
+            let sql = `INSERT INTO ${tableName} (${columns}) VALUES (${placeholders})`;
             let params = keys.map(key => this.doc[key]);
             if (this.upsertEnabled) {
                 const updateFields = this.upsertFields || keys;
-                const updateClause = updateFields.map(col => `${col} = VALUES(${col})`).join(", ");
+                const updateClause = updateFields.map(col => {
+                    const column = quoteIdentifier(col, "MongoInsertBuilder");
+                    return `${column} = VALUES(${column})`;
+                }).join(", ");
                 sql += ` ON DUPLICATE KEY UPDATE ${updateClause}`;
             }
             Logger.info("生成的单条 INSERT SQL:", sql, "参数:", params);
@@ -870,9 +3154,9 @@ class MongoInsertBuilder {
             handleError("insertMany() 需要至少一个有效的文档。", "MongoInsertBuilder", SQLGenerationError);
         } else{
             const keys = Object.keys(this.docs[0]);
-            const columns = keys.join(", ");
+            const columns = keys.map(key => quoteIdentifier(key, "MongoInsertBuilder")).join(", ");
             const rowPlaceholders = "(" + keys.map(() => "?").join(", ") + ")";
-            let sql = `INSERT INTO ${this.tableName} (${columns}) VALUES ${this.docs.map(() => rowPlaceholders).join(", ")}`;
+            let sql = `INSERT INTO ${tableName} (${columns}) VALUES ${this.docs.map(() => rowPlaceholders).join(", ")}`;
             let params = [];
             this.docs.forEach(doc => {
                 keys.forEach(key => {
@@ -881,7 +3165,10 @@ class MongoInsertBuilder {
             });
             if (this.upsertEnabled) {
                 const updateFields = this.upsertFields || keys;
-                const updateClause = updateFields.map(col => `${col} = VALUES(${col})`).join(", ");
+                const updateClause = updateFields.map(col => {
+                    const column = quoteIdentifier(col, "MongoInsertBuilder");
+                    return `${column} = VALUES(${column})`;
+                }).join(", ");
                 sql += ` ON DUPLICATE KEY UPDATE ${updateClause}`;
             }
             Logger.info("生成的批量 INSERT SQL:", sql, "参数:", params);
@@ -890,6 +3177,482 @@ class MongoInsertBuilder {
     }
 }
 
+/* ============================================================
+   分页
+============================================================ */
+function assertNonNegativeInteger(value, name, context) {
+    if (!Number.isInteger(value) || value < 0) {
+        handleError(`${name} 必须为非负整数: ${JSON.stringify(value)}`, context, QueryParseError);
+    }
+    return value;
+}
+
+/**
+ * LIMIT / OFFSET 片段；仅有 offset 时使用 MySQL 允许的最大行数作为 LIMIT。数值直接拼入 SQL，需先校验
+ */
+function buildLimitClause(limit, offset) {
+    if (limit !== null && limit !== undefined) assertNonNegativeInteger(limit, "limit", "LIMIT");
+    if (offset !== null && offset !== undefined) assertNonNegativeInteger(offset, "skip", "OFFSET");
+    if (limit !== null && limit !== undefined) {
+        return ` LIMIT ${limit}${offset !== null && offset !== undefined ? ` OFFSET ${offset}` : ""}`;
+    }
+    if (offset !== null && offset !== undefined) {
+        return ` LIMIT 18446744073709551615 OFFSET ${offset}`;
+    }
+    return "";
+}
+
+const PAGINATE_MODES = ["window", "count"];
+const WINDOW_TOTAL_COLUMN = "__total";
+
+/**
+ * JOIN 是否至多匹配一行：ON 中关联表一侧以等值比较的列覆盖了 registerTableSchema 声明的主键或某个唯一键
+ */
+function isUniqueJoin(join, qualifier, context) {
+    const schema = TableSchemas[join.tableName];
+    if (!schema) return false;
+    const equated = parseJoinOn(join.on, context).split(" AND ").map(part => {
+        const [left, op, right] = part.split(" ");
+        if (op !== "=") return null;
+        const [own, other] = left.startsWith(qualifier + ".") ? [left, right] : [right, left];
+        if (!own.startsWith(qualifier + ".") || other.startsWith(qualifier + ".")) return null;
+        return own.substring(qualifier.length + 1).replace(/`/g, "");
+    }).filter(Boolean);
+    const uniqueKeys = [schema.primaryKey, ...(schema.uniqueKeys || [])].filter(Boolean);
+    return uniqueKeys.some(key => [].concat(key).every(column => equated.includes(column)));
+}
+
+/**
+ * 计数查询所需的 JOIN。LEFT JOIN 仅在按表结构至多匹配一行，且未被 WHERE、其余保留 JOIN 的 ON
+ * 或可能属于该表的未限定字段引用时省略；其余 JOIN 与分页语句一致保留，使 COUNT(*) 与被分页的行数相同
+ * @returns {Array}
+ */
+function countJoinConfigs(joinConfigs, whereClause, { filter, tableName }, context) {
+    const aliases = new Set([tableName, ...joinConfigs.map(join => join.alias || join.tableName)]);
+    const fields = queryFieldNames(filter);
+    const unqualified = fields
+        ? fields.map(field => field.split(".")[0]).filter(root => !aliases.has(root))
+        : null;
+    const columnsOf = table => Object.keys((TableSchemas[table] || {}).columns || {});
+    const mainColumns = columnsOf(tableName);
+    // 未声明列清单时，不属于主表已声明列的未限定字段都可能来自关联表
+    const resolvesTo = join => {
+        if (unqualified === null) return true;
+        const joinedColumns = columnsOf(join.tableName);
+        return unqualified.some(column => (joinedColumns.length > 0 ? joinedColumns.includes(column) : !mainColumns.includes(column)));
+    };
+    const kept = [];
+    const references = [whereClause || ""];
+    for (let i = joinConfigs.length - 1; i >= 0; i--) {
+        const join = joinConfigs[i];
+        const isLeft = normalizeJoinType(join.joinType, context).startsWith("LEFT");
+        const qualifier = join.alias
+            ? quoteIdentifier(join.alias, context)
+            : quoteQualifiedIdentifier(join.tableName, context);
+        if (isLeft && isUniqueJoin(join, qualifier, context) && !references.some(sql => sql.includes(`${qualifier}.`)) && !resolvesTo(join)) {
+            continue;
+        }
+        kept.unshift(join);
+        references.push(parseJoinOn(join.on, context));
+    }
+    return kept;
+}
+
+/**
+ * 分页结果：items 去掉窗口计数列，hasNext 由总数推算
+ */
+function toPageResult(rows, total, page, pageSize) {
+    const items = rows.map(row => {
+        if (!row || !(WINDOW_TOTAL_COLUMN in row)) return row;
+        const { [WINDOW_TOTAL_COLUMN]: _total, ...rest } = row;
+        return rest;
+    });
+    total = Number(total) || 0;
+    return { items, total, page, pageSize, hasNext: page * pageSize < total };
+}
+
+/* ============================================================
+   深分页：延迟关联（deferred join）
+============================================================ */
+function normalizeDeferredJoinOptions(options = {}) {
+    const primaryKey = assertIdentifier(options.primaryKey || "id", "deferredJoin");
+    const minOffset = options.minOffset !== undefined ? assertNonNegativeInteger(options.minOffset, "minOffset", "deferredJoin") : 1000;
+    return { primaryKey, minOffset };
+}
+
+/**
+ * 是否改写为延迟关联；存在 JOIN / 分组时主键不再唯一对应结果行，排序字段不是原表的列时无法在只取主键的派生表中排序，
+ * 均保持原查询（skipReason 为跳过的原因）
+ */
+function shouldDeferJoin(options, offset, skipReason, context) {
+    if (!options || offset === null || offset === undefined || offset < options.minOffset) {
+        return false;
+    }
+    if (skipReason) {
+        Logger.warn(`(${context}) ${skipReason}，跳过延迟关联改写`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * 投影之后的排序是否只用到原表的列（而非计算字段、JSON 路径别名或关联表的列）
+ */
+function sortsOnBaseColumns(sortSpec, projection) {
+    if (!sortSpec || !projection) return true;
+    let isBase;
+    if (Array.isArray(projection)) {
+        isBase = key => projection.includes(key) && !key.includes(".");
+    } else {
+        const entries = Object.entries(projection);
+        if (entries.every(([, value]) => isProjectionFlag(value) && !value)) {
+            isBase = key => !key.includes(".") && !(key in projection);
+        } else {
+            isBase = key => !key.includes(".") && isProjectionFlag(projection[key]) && !!projection[key];
+        }
+    }
+    return sortFieldNames(sortSpec).every(isBase);
+}
+
+/**
+ * 排序是否引用了对象投影中的计算字段等别名（ORDER BY 优先按 SELECT 别名解析，只取主键的派生表中没有这些列）
+ */
+function sortsOnProjectedAliases(sortSpec, projection) {
+    if (!sortSpec || !projection || Array.isArray(projection)) return false;
+    return sortFieldNames(sortSpec).some(key => key in projection && !isProjectionFlag(projection[key]));
+}
+
+/**
+ * SELECT ... FROM t INNER JOIN (SELECT t.pk AS __pk FROM t WHERE ... ORDER BY ... LIMIT ... OFFSET ...) AS deferred
+ *   ON t.pk = deferred.__pk ORDER BY ...
+ */
+function buildDeferredJoinSQL({ tableName, primaryKey, selectClause, whereClause, orderByClause, outerOrderByClause, limitClause, context }) {
+    const table = quoteQualifiedIdentifier(tableName, context);
+    const pk = `${table}.${quoteIdentifier(primaryKey, context)}`;
+    // 派生表的主键列 __pk 不应出现在 SELECT * 的结果中
+    const outerSelect = selectClause === "*" || selectClause.startsWith("*, ")
+        ? `${table}.*${selectClause.slice(1)}`
+        : selectClause;
+    let inner = `SELECT ${pk} AS \`__pk\` FROM ${table}`;
+    if (whereClause) inner += ` WHERE ${whereClause}`;
+    if (orderByClause) inner += ` ORDER BY ${orderByClause}`;
+    inner += limitClause;
+    let sql = `SELECT ${outerSelect} FROM ${table} INNER JOIN (${inner}) AS \`deferred\` ON ${pk} = \`deferred\`.\`__pk\``;
+    if (outerOrderByClause) sql += ` ORDER BY ${outerOrderByClause}`;
+    return sql;
+}
+
+/* ============================================================
+   键集（游标）分页
+============================================================ */
+/**
+ * 排序规格转为 [[key, "ASC" | "DESC"]]，并追加唯一的 tiebreaker 列（方向与最后一个排序键一致）
+ */
+function keysetSortKeys(sortSpec, tiebreaker, context) {
+    let entries;
+    if (!sortSpec) {
+        entries = [];
+    } else if (typeof sortSpec === "string") {
+        entries = sortSpec.split(",").map(part => {
+            const [key, dir] = part.trim().split(/\s+/);
+            return [key, dir || "asc"];
+        });
+    } else if (Array.isArray(sortSpec)) {
+        entries = sortSpec;
+    } else {
+        entries = Object.entries(sortSpec);
+    }
+    const keys = entries.map(([key, dir]) => {
+        if (isTextScoreMeta(dir)) {
+            handleError("键集分页不支持按 $meta 排序", context, QueryParseError);
+        }
+        return [key, normalizeSortDirection(dir, key, context)];
+    });
+    // tiebreaker 以主表限定；排序中已有同名的未限定列时视为已包含
+    if (!keys.some(([key]) => key === tiebreaker || tiebreaker.endsWith("." + key))) {
+        keys.push([tiebreaker, keys.length > 0 ? keys[keys.length - 1][1] : "ASC"]);
+    }
+    return keys;
+}
+
+/**
+ * 排序键对应的列；JSON 路径的排序值与游标取值无法一一对应，在生成首页前即拒绝
+ */
+function keysetSortFields(keys, options, context) {
+    return keys.map(([key]) => {
+        const fieldInfo = resolveField(key, options, context);
+        if (fieldInfo.isJson) {
+            handleError(`键集分页的排序字段必须为普通列: "${key}"`, context, QueryParseError);
+        }
+        return fieldInfo.sql;
+    });
+}
+
+/**
+ * seek 条件。NULL 在 MySQL 排序中最小（升序最前、降序最后）：全部升序且游标中没有 NULL 时使用行值比较
+ * (a, b) > (?, ?)，否则展开为 a > ? OR (a = ? AND b > ?) 的形式，并补充 NULL 所在位置的条件。
+ * 最后一个键为唯一且非空的 tiebreaker
+ */
+function buildSeekPredicate(fields, keys, values, params) {
+    const op = dir => (dir === "ASC" ? ">" : "<");
+    if (keys.every(([, dir]) => dir === "ASC") && values.every(value => value !== null)) {
+        params.push(...values);
+        return fields.length === 1
+            ? `${fields[0]} > ?`
+            : `(${fields.join(", ")}) > (${fields.map(() => "?").join(", ")})`;
+    }
+    const last = keys.length - 1;
+    const branches = [];
+    keys.forEach(([, dir], idx) => {
+        // 降序时 NULL 之后只有该键同为 NULL 的行，由后续键的分支覆盖
+        if (values[idx] === null && dir === "DESC") return;
+        const parts = [];
+        for (let i = 0; i < idx; i++) {
+            if (values[i] === null) {
+                parts.push(`${fields[i]} IS NULL`);
+            } else {
+                parts.push(`${fields[i]} = ?`);
+                params.push(values[i]);
+            }
+        }
+        if (values[idx] === null) {
+            parts.push(`${fields[idx]} IS NOT NULL`);
+        } else {
+            const seek = `${fields[idx]} ${op(dir)} ?`;
+            params.push(values[idx]);
+            parts.push(dir === "DESC" && idx < last ? `(${seek} OR ${fields[idx]} IS NULL)` : seek);
+        }
+        branches.push(parts.length > 1 ? `(${parts.join(" AND ")})` : parts[0]);
+    });
+    if (branches.length === 0) return "1=0";
+    return branches.length > 1 ? `(${branches.join(" OR ")})` : branches[0];
+}
+
+/**
+ * 排序键在结果行中的内部别名，投影中不包含排序字段时也能生成游标并在外层恢复排序
+ */
+function keysetColumnAlias(idx) {
+    return `__k${idx}`;
+}
+
+function cursorSignature(keys) {
+    return keys.map(([key, dir]) => `${key}:${dir}`).join(",");
+}
+
+/**
+ * 从行中取排序键的值生成不透明游标；Date 以 { $date } 保存以便还原类型
+ */
+function encodeCursor(row, keys, context) {
+    if (!row || typeof row !== "object") {
+        handleError("生成游标需要结果行对象", context, QueryParseError);
+    }
+    const values = keys.map(([key], idx) => {
+        const alias = keysetColumnAlias(idx);
+        const value = alias in row ? row[alias] : (key in row ? row[key] : row[key.split(".").pop()]);
+        if (value === undefined) {
+            handleError(`结果行中缺少排序字段 "${key}"`, context, QueryParseError);
+        }
+        return value instanceof Date ? { $date: value.toISOString() } : value;
+    });
+    return Buffer.from(JSON.stringify({ k: cursorSignature(keys), v: values })).toString("base64url");
+}
+
+function decodeCursor(token, keys, context) {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(String(token), "base64url").toString("utf8"));
+    } catch (e) {
+        handleError("无效的分页游标", context, QueryParseError);
+    }
+    if (!payload || payload.k !== cursorSignature(keys) || !Array.isArray(payload.v) || payload.v.length !== keys.length) {
+        handleError("分页游标与当前排序不匹配", context, QueryParseError);
+    }
+    return payload.v.map(value => (value && typeof value === "object" && "$date" in value ? new Date(value.$date) : value));
+}
+
+/* ============================================================
+   投影文档：包含、排除与计算字段
+============================================================ */
+function isProjectionFlag(value) {
+    return typeof value === "number" || typeof value === "boolean";
+}
+
+/**
+ * 投影中的数组操作符：{ comments: { $slice: -5 } }、{ items: { $elemMatch: { sku: "A" } } }
+ */
+function isArrayProjection(value) {
+    return !!value && typeof value === "object" && !Array.isArray(value)
+        && Object.keys(value).length === 1 && ("$slice" in value || "$elemMatch" in value);
+}
+
+function lastOffset(k) {
+    return k > 0 ? `last-${k}` : "last";
+}
+
+/**
+ * $slice 转为 JSON 路径范围：5 -> [0 to 4]，-5 -> [last-4 to last]，[skip, limit] -> [skip to skip+limit-1]；
+ * 返回 null 表示结果为空数组
+ */
+function sliceJsonPath(basePath, spec, context) {
+    const isInt = n => Number.isInteger(n);
+    if (isInt(spec)) {
+        if (spec === 0) return null;
+        return spec > 0 ? `${basePath}[0 to ${spec - 1}]` : `${basePath}[${lastOffset(-spec - 1)} to last]`;
+    }
+    if (Array.isArray(spec) && spec.length === 2 && isInt(spec[0]) && isInt(spec[1])) {
+        const [skip, limit] = spec;
+        if (limit <= 0) {
+            handleError(`$slice 的 limit 必须为正整数: ${JSON.stringify(spec)}`, context, QueryParseError);
+        }
+        if (skip >= 0) {
+            return `${basePath}[${skip} to ${skip + limit - 1}]`;
+        }
+        const start = -skip - 1;
+        return `${basePath}[${lastOffset(start)} to ${lastOffset(Math.max(start - limit + 1, 0))}]`;
+    }
+    handleError(`$slice 需要整数或 [skip, limit]: ${JSON.stringify(spec)}`, context, QueryParseError);
+}
+
+/**
+ * JSON 数组字段的 $slice / $elemMatch 投影表达式；$elemMatch 返回仅含第一个匹配元素的数组
+ */
+function arrayProjectionSQL(key, spec, params, options, context) {
+    const fieldInfo = resolveField(key, options, context);
+    if (!fieldInfo.isJson) {
+        handleError(`投影 ${Object.keys(spec)[0]} 仅支持 JSON 列，字段 "${key}"`, context, QueryParseError);
+    }
+    if ("$slice" in spec) {
+        const path = sliceJsonPath(fieldInfo.path || "$", spec.$slice, context);
+        return path ? `JSON_EXTRACT(${fieldInfo.column}, ${quoteLiteral(path)})` : "JSON_ARRAY()";
+    }
+    const arraySQL = fieldInfo.path ? jsonExtractSQL(fieldInfo, false) : fieldInfo.column;
+    const { alias, source, where } = compileElemMatch(arraySQL, spec.$elemMatch, params, `${context}->${key}`, options, true);
+    const element = quoteIdentifier(alias);
+    return `(SELECT JSON_ARRAY(${element}.\`value\`) FROM ${source}${where} ORDER BY ${element}.\`idx\` LIMIT 1)`;
+}
+
+/**
+ * 将点号字段转为别名，例如 address.city -> address_city
+ */
+function projectionAlias(key, context) {
+    return quoteIdentifier(key.replace(/\./g, "_"), context);
+}
+
+/**
+ * 有 JOIN 时原样包含的列加表前缀以免歧义；关联表的列命名为 alias_col，与数组投影一致
+ */
+function joinQualifiedColumn(key, fieldInfo, options, context) {
+    if (!options.tableName || Object.keys(options.tables || {}).length <= 1) return fieldInfo.sql;
+    if (!key.includes(".")) return `${quoteQualifiedIdentifier(options.tableName, context)}.${fieldInfo.sql}`;
+    return `${fieldInfo.sql} AS ${projectionAlias(key, context)}`;
+}
+
+/**
+ * 排除模式：基于已声明的列清单输出剩余列，JSON 子路径通过 JSON_REMOVE 去除
+ */
+function buildExclusionProjection(projection, options, context, replacements = {}, params = []) {
+    const schema = TableSchemas[options.tableName];
+    const columns = schema ? Object.keys(schema.columns) : [];
+    if (columns.length === 0) {
+        handleError(`排除投影需要通过 registerTableSchema 声明表 "${options.tableName}" 的完整列`, context, QueryParseError);
+    }
+    const excluded = new Set();
+    const removedPaths = {};
+    for (let key in projection) {
+        const fieldInfo = resolveField(key, options, context);
+        if (fieldInfo.isJson && fieldInfo.path) {
+            const column = key.split(".")[0];
+            (removedPaths[column] = removedPaths[column] || []).push(quoteLiteral(fieldInfo.path));
+        } else if (key.includes(".")) {
+            handleError(`排除投影不支持字段 "${key}"`, context, QueryParseError);
+        } else {
+            excluded.add(key);
+        }
+    }
+    // 替换列的参数按列的输出顺序追加
+    const replace = key => {
+        params.push(...replacements[key].params);
+        return replacements[key].sql;
+    };
+    const selected = columns.filter(col => !excluded.has(col)).map(col => {
+        const column = quoteIdentifier(col, context);
+        if (replacements[col]) return replace(col);
+        return removedPaths[col] ? `JSON_REMOVE(${column}, ${removedPaths[col].join(", ")}) AS ${column}` : column;
+    });
+    // 嵌套路径上的 $slice / $elemMatch 追加为别名列
+    Object.keys(replacements).filter(key => !columns.includes(key)).forEach(key => selected.push(replace(key)));
+    if (selected.length === 0) {
+        handleError("排除投影排除了所有列", context, QueryParseError);
+    }
+    return selected.join(", ");
+}
+
+/**
+ * 生成 MongoQueryBuilder 的 SELECT 列表，支持：
+ * - 包含：{ name: 1, "address.city": 1 }（JSON 路径以 address_city 为别名）
+ * - 排除：{ password: 0 }（需声明列清单）；_id: 0 在包含模式下忽略
+ * - 计算字段：{ fullName: { $concat: ["$first", " ", "$last"] }, city: "$address.city" }
+ * - { $meta: "textScore" }
+ * - JSON 数组的 { $slice: n | [skip, limit] } 与 { $elemMatch: {...} }：单独使用或与排除一起使用时保留其余列
+ */
+function buildProjectionClause(projection, params, options, context = "SELECT") {
+    const keys = Object.keys(projection);
+    const arrayKeys = keys.filter(key => isArrayProjection(projection[key]));
+    const exclusions = keys.filter(key => isProjectionFlag(projection[key]) && !projection[key]);
+    const inclusions = keys.filter(key => !exclusions.includes(key) && !arrayKeys.includes(key));
+    if (exclusions.length > 0 && inclusions.length > 0 && exclusions.some(key => key !== "_id")) {
+        handleError(`投影不能同时包含与排除字段: ${exclusions.join(", ")}`, context, QueryParseError);
+    }
+    const arrayColumns = {};
+    arrayKeys.forEach(key => {
+        // 参数随列保存，输出列时再按顺序追加
+        const columnParams = [];
+        const sql = `${arrayProjectionSQL(key, projection[key], columnParams, options, context)} AS ${projectionAlias(key, context)}`;
+        arrayColumns[key] = { sql, params: columnParams };
+    });
+    if (inclusions.length === 0) {
+        const exclusionSpec = {};
+        exclusions.forEach(key => { exclusionSpec[key] = 0; });
+        if (exclusions.length > 0) {
+            return buildExclusionProjection(exclusionSpec, options, context, arrayColumns, params);
+        }
+        // 仅有 $slice / $elemMatch：同名别名列追加在 * 之后，结果行中以后者为准
+        return ["*", ...arrayKeys.map(key => {
+            params.push(...arrayColumns[key].params);
+            return arrayColumns[key].sql;
+        })].join(", ");
+    }
+
+    const columns = [];
+    let hasFields = false;
+    keys.filter(key => !exclusions.includes(key)).forEach(key => {
+        if (arrayColumns[key]) {
+            columns.push(arrayColumns[key].sql);
+            params.push(...arrayColumns[key].params);
+            hasFields = true;
+            return;
+        }
+        const spec = projection[key];
+        if (isTextScoreMeta(spec)) {
+            columns.push(`${textScoreSQL(spec, params, options, context)} AS ${quoteIdentifier(key, context)}`);
+            return;
+        }
+        hasFields = true;
+        if (isProjectionFlag(spec)) {
+            const fieldInfo = resolveField(key, options, context);
+            columns.push(fieldInfo.isJson && fieldInfo.path
+                ? `${jsonExtractSQL(fieldInfo, true)} AS ${projectionAlias(key, context)}`
+                : joinQualifiedColumn(key, fieldInfo, options, context));
+            return;
+        }
+        // 计算字段；顶层的 "$field" 引用输出去引号后的值
+        const isFieldRef = typeof spec === "string" && spec.startsWith("$");
+        const expr = compileExpression(spec, params, `${context}->${key}`, options, isFieldRef ? "string" : undefined);
+        columns.push(`${expr} AS ${quoteIdentifier(key, context)}`);
+    });
+    return (hasFields ? columns : ["*", ...columns]).join(", ");
+}
+
 /* ============================================================
    MongoQueryBuilder 类：支持链式调用构造查询
 ============================================================ */
@@ -916,6 +3679,9 @@ class MongoQueryBuilder {
         return this;
     }
 
+    /**
+     * @param {Array|Object} fields 列名数组，或 Mongo 投影文档（包含 / 排除 / 计算字段）
+     */
     project(fields) {
         this.projection = fields;
         return this;
@@ -926,63 +3692,348 @@ class MongoQueryBuilder {
         return this;
     }
 
+    /**
+     * @param {string|Object|Array} sortBy "age DESC"、{ age: -1 } 或 [["age", -1], ["name", 1]]
+     */
     sort(sortBy) {
         this.sortClause = sortBy;
         return this;
     }
 
     limit(limit) {
-        this.limitValue = limit;
+        this.limitValue = assertNonNegativeInteger(limit, "limit", "MongoQueryBuilder.limit");
         return this;
     }
 
     skip(skip) {
-        this.offsetValue = skip;
+        this.offsetValue = assertNonNegativeInteger(skip, "skip", "MongoQueryBuilder.skip");
+        return this;
+    }
+
+    /**
+     * 深分页改写为延迟关联：OFFSET 不小于 minOffset 时，先在派生表中只取主键再关联回原表
+     * @param {{primaryKey?: string, minOffset?: number}} [options] 默认 { primaryKey: "id", minOffset: 1000 }
+     */
+    deferredJoin(options = {}) {
+        this.deferredJoinOptions = normalizeDeferredJoinOptions(options);
         return this;
     }
 
     toSQL() {
+        return this._buildSelect();
+    }
+
+    /**
+     * 生成 SELECT；overrides 供分页等模式替换排序、分页并追加条件
+     * @param {{seek?: Function, sort?: *, limit?: number|null, offset?: number|null, extraColumns?: string}} overrides
+     *        seek(params, parseOptions) 返回追加到 WHERE 的条件；extraColumns 追加到 SELECT 列表末尾
+     */
+    _buildSelect(overrides = {}) {
         let params = [];
+        // SELECT / ORDER BY 中的 textScore 依赖 WHERE 中的 $text，因此先解析条件，最后按 SQL 顺序拼接参数
+        const selectParams = [];
+        const orderParams = [];
+        const parseOptions = buildParseOptions(this.tableName, this.joinConfigs);
+        let whereClause = parseMongoQuery(this.filter, params, "SELECT", parseOptions);
+        if (overrides.seek) {
+            const seek = overrides.seek(params, parseOptions);
+            whereClause = whereClause && whereClause !== "1=1" ? `${whereClause} AND ${seek}` : seek;
+        }
+        const sortClause = "sort" in overrides ? overrides.sort : this.sortClause;
+        const limitValue = "limit" in overrides ? overrides.limit : this.limitValue;
+        const offsetValue = "offset" in overrides ? overrides.offset : this.offsetValue;
+
         let selectClause = "*";
         if (this.projection) {
-            if (this.joinConfigs && this.joinConfigs.length > 0) {
-                selectClause = parseProjectStageWithJoinsOptimized(this.projection, prepareJoinMappings(this.joinConfigs), this.tableName);
-            } else {
-                if (Array.isArray(this.projection)) {
-                    selectClause = this.projection.join(", ");
+            if (Array.isArray(this.projection)) {
+                selectClause = this.joinConfigs && this.joinConfigs.length > 0
+                    ? parseProjectStageWithJoinsOptimized(this.projection, prepareJoinMappings(this.joinConfigs), this.tableName)
+                    : this.projection.map(field => quoteQualifiedIdentifier(field, "SELECT", true)).join(", ");
+            } else if (typeof this.projection === "object") {
+                selectClause = buildProjectionClause(this.projection, selectParams, parseOptions, "SELECT");
+            }
+        }
+        if (overrides.extraColumns) {
+            selectClause += `, ${overrides.extraColumns}`;
+        }
+
+        // 处理排序：未指定排序时 $near / $nearSphere 按距离升序
+        const buildOrderBy = orderParamList => (sortClause
+            ? buildOrderByClause(sortClause, "SELECT", orderParamList, parseOptions)
+            : nearOrderSQL(orderParamList, parseOptions, "SELECT"));
+        const orderByClause = buildOrderBy(orderParams);
+        const hasJoins = this.joinConfigs && this.joinConfigs.length > 0;
+        const skipReason = hasJoins ? "查询包含 JOIN 或分组"
+            : (sortsOnProjectedAliases(sortClause, this.projection) ? "排序字段不是原表的列" : "");
+
+        let sql;
+        // 窗口函数需在完整结果集上计算，不能移入只取一页主键的派生表
+        if (!overrides.extraColumns && shouldDeferJoin(this.deferredJoinOptions, offsetValue, skipReason, "SELECT")) {
+            // 外层按相同排序恢复顺序，其参数位于派生表之后
+            const outerOrderParams = [];
+            const outerOrderByClause = buildOrderBy(outerOrderParams);
+            sql = buildDeferredJoinSQL({
+                tableName: this.tableName,
+                primaryKey: this.deferredJoinOptions.primaryKey,
+                selectClause,
+                whereClause,
+                orderByClause,
+                outerOrderByClause,
+                limitClause: buildLimitClause(limitValue, offsetValue),
+                context: "SELECT"
+            });
+            params = [...selectParams, ...params, ...orderParams, ...outerOrderParams];
+        } else {
+            sql = `SELECT ${selectClause} FROM ${quoteQualifiedIdentifier(this.tableName, "SELECT")}`;
+
+            // 处理 JOIN 子句
+            if (hasJoins) {
+                sql += generateJoinClause(this.joinConfigs);
+            }
+
+            // 处理 WHERE 子句
+            if (whereClause) {
+                sql += ` WHERE ${whereClause}`;
+            }
+            if (orderByClause) {
+                sql += ` ORDER BY ${orderByClause}`;
+            }
+            params = [...selectParams, ...params, ...orderParams];
+
+            // 处理分页
+            sql += buildLimitClause(limitValue, offsetValue);
+        }
+
+        Logger.info("最终生成的 SELECT SQL:", sql, "参数:", params);
+        return { sql, params };
+    }
+
+    /**
+     * 键集（游标）分页：按当前排序加唯一的 tiebreaker 列生成 seek 条件，代替 OFFSET。
+     * 传入 before 时取前一页（结果仍按原排序返回）。tiebreaker 以主表限定；排序键另以 __k0、__k1… 输出，
+     * 投影中不含排序字段时游标从这些列取值。
+     * @param {{limit: number, after?: string, before?: string, tiebreaker?: string}} options
+     * @returns {{sql: string, params: Array, nextCursor: Function, previousCursor: Function}}
+     *          nextCursor(本页最后一行) / previousCursor(本页第一行) 生成游标
+     */
+    keysetPage(options = {}) {
+        const context = "KEYSET";
+        const limit = assertNonNegativeInteger(options.limit, "limit", context);
+        if (options.after && options.before) {
+            handleError("after 与 before 不能同时使用", context, QueryParseError);
+        }
+        const hasJoins = this.joinConfigs && this.joinConfigs.length > 0;
+        const backward = !!options.before;
+        // 一对多 JOIN 时主表的 id 在结果行中不唯一，排序键相同的行会被跳过
+        if (hasJoins && !options.tiebreaker) {
+            handleError("有 JOIN 时需通过 tiebreaker 指定在连接结果中唯一的列", context, QueryParseError);
+        }
+        const parseOptions = buildParseOptions(this.tableName, this.joinConfigs);
+        if (hasJoins && backward && (!this.projection || !projectionOutputNames(this.projection, parseOptions, context))) {
+            handleError("有 JOIN 时取上一页需先 project 所需的列（派生表中的列名不能重复）", context, QueryParseError);
+        }
+        const tiebreaker = options.tiebreaker || "id";
+        const mainTable = this.tableName.split(".").pop();
+        const keys = keysetSortKeys(this.sortClause, tiebreaker.includes(".") ? tiebreaker : `${mainTable}.${tiebreaker}`, context);
+        // 同一 SELECT 中的别名不能在 WHERE 与其他列中引用
+        if (sortsOnProjectedAliases(keys, this.projection)) {
+            handleError("键集分页的排序字段不能是投影中的计算字段或别名", context, QueryParseError);
+        }
+        const fields = keysetSortFields(keys, parseOptions, context);
+        const token = options.after || options.before;
+        const queryKeys = backward ? keys.map(([key, dir]) => [key, dir === "ASC" ? "DESC" : "ASC"]) : keys;
+
+        const built = this._buildSelect({
+            seek: token
+                ? params => buildSeekPredicate(fields, queryKeys, decodeCursor(token, keys, context), params)
+                : undefined,
+            sort: queryKeys,
+            limit,
+            offset: null,
+            extraColumns: fields.map((field, idx) => `${field} AS ${quoteIdentifier(keysetColumnAlias(idx), context)}`).join(", ")
+        });
+        let sql = built.sql;
+        if (backward) {
+            // 反向取数后在外层按排序键的内部别名恢复原排序
+            const outerOrder = keys.map(([, dir], idx) => `${quoteIdentifier(keysetColumnAlias(idx), context)} ${dir}`).join(", ");
+            sql = `SELECT * FROM (${sql}) AS \`page\` ORDER BY ${outerOrder}`;
+        }
+        Logger.info("最终生成的键集分页 SQL:", sql, "参数:", built.params);
+        return {
+            sql,
+            params: built.params,
+            nextCursor: row => encodeCursor(row, keys, context),
+            previousCursor: row => encodeCursor(row, keys, context)
+        };
+    }
+
+    /**
+     * 按页码分页并返回总数。
+     * window 模式（MySQL 8）：单条语句通过 COUNT(*) OVER() 附带总数；
+     * count 模式（MySQL 5.7）：附带一条同条件的计数语句（不含 ORDER BY 与未引用的 LEFT JOIN）。
+     * @param {{page?: number, pageSize?: number, mode?: "window"|"count"}} options
+     * @returns {{mode: string, page: number, pageSize: number, sql: string, params: Array,
+     *            countSql: string, countParams: Array, toResult: Function, execute: Function}}
+     *          execute(run) 中 run(sql, params) 返回行数组（可为 Promise），结果为 { items, total, page, pageSize, hasNext }
+     */
+    paginate(options = {}) {
+        const context = "PAGINATE";
+        const page = options.page !== undefined ? assertNonNegativeInteger(options.page, "page", context) : 1;
+        const pageSize = options.pageSize !== undefined ? assertNonNegativeInteger(options.pageSize, "pageSize", context) : 20;
+        const mode = options.mode || "window";
+        if (page < 1) {
+            handleError("page 从 1 开始", context, QueryParseError);
+        }
+        if (pageSize < 1) {
+            handleError("pageSize 必须大于 0", context, QueryParseError);
+        }
+        if (!PAGINATE_MODES.includes(mode)) {
+            handleError(`不支持的分页模式: ${JSON.stringify(mode)}`, context, QueryParseError);
+        }
+
+        const windowed = mode === "window";
+        const built = this._buildSelect({
+            limit: pageSize,
+            offset: (page - 1) * pageSize,
+            extraColumns: windowed ? `COUNT(*) OVER() AS ${quoteIdentifier(WINDOW_TOTAL_COLUMN, context)}` : undefined
+        });
+        const count = this._pageCount(context);
+        Logger.info("最终生成的分页 SQL:", built.sql, "参数:", built.params, "计数 SQL:", count.sql);
+
+        const toResult = (rows, total) => {
+            if (total === undefined && windowed && rows.length > 0) {
+                total = rows[0][WINDOW_TOTAL_COLUMN];
+            }
+            return toPageResult(rows, total, page, pageSize);
+        };
+        return {
+            mode,
+            page,
+            pageSize,
+            sql: built.sql,
+            params: built.params,
+            countSql: count.sql,
+            countParams: count.params,
+            toResult,
+            // window 模式下页超出范围时没有行可读取总数，回退到计数语句
+            execute: async run => {
+                const rows = await run(built.sql, built.params);
+                if (windowed && (rows.length > 0 || page === 1)) {
+                    return toResult(rows);
                 }
+                const countRows = await run(count.sql, count.params);
+                return toResult(rows, countRows[0] ? countRows[0].count : 0);
             }
+        };
+    }
+
+    /**
+     * paginate 使用的计数语句
+     */
+    _pageCount(context) {
+        const params = [];
+        const parseOptions = buildParseOptions(this.tableName, this.joinConfigs);
+        const whereClause = parseMongoQuery(this.filter, params, context, parseOptions);
+        const table = quoteQualifiedIdentifier(this.tableName, context);
+        const joins = countJoinConfigs(this.joinConfigs || [], whereClause, { filter: this.filter, tableName: this.tableName }, context);
+        let sql = `SELECT COUNT(*) AS \`count\` FROM ${table}`;
+        if (joins.length > 0) {
+            sql += generateJoinClause(joins);
         }
+        if (whereClause) {
+            sql += ` WHERE ${whereClause}`;
+        }
+        return { sql, params };
+    }
 
-        let sql = `SELECT ${selectClause} FROM ${this.tableName}`;
+    /**
+     * 在当前条件上追加过滤条件（不修改构造器本身）
+     */
+    _filterWith(extra) {
+        if (!extra || Object.keys(extra).length === 0) return this.filter;
+        if (Object.keys(this.filter).length === 0) return extra;
+        return { $and: [this.filter, extra] };
+    }
 
-        // 处理 JOIN 子句
+    /**
+     * FROM / JOIN / WHERE 片段，count 与 distinct 共用
+     */
+    _fromClause(filter, params, parseOptions, context, extraSource = "") {
+        let sql = ` FROM ${quoteQualifiedIdentifier(this.tableName, context)}`;
         if (this.joinConfigs && this.joinConfigs.length > 0) {
             sql += generateJoinClause(this.joinConfigs);
         }
-
-        // 处理 WHERE 子句
-        const whereClause = parseMongoQuery(this.filter, params, "SELECT");
+        sql += extraSource;
+        const whereClause = parseMongoQuery(filter, params, context, parseOptions);
         if (whereClause) {
             sql += ` WHERE ${whereClause}`;
         }
+        return sql;
+    }
 
-        // 处理排序
-        if (this.sortClause) {
-            sql += ` ORDER BY ${this.sortClause}`;
+    /**
+     * 统计匹配的行数；指定 limit / skip 时在子查询中分页后再计数
+     * @param {Object} [filter] 追加的过滤条件
+     * @param {{limit?: number, skip?: number}} [options]
+     * @returns {{sql: string, params: Array}}
+     */
+    countDocuments(filter = {}, options = {}) {
+        const params = [];
+        const parseOptions = buildParseOptions(this.tableName, this.joinConfigs);
+        const fromClause = this._fromClause(this._filterWith(filter), params, parseOptions, "COUNT");
+        let sql;
+        if (options.limit !== undefined || options.skip !== undefined) {
+            const limitClause = buildLimitClause(
+                options.limit !== undefined ? assertNonNegativeInteger(options.limit, "limit", "COUNT") : null,
+                options.skip !== undefined ? assertNonNegativeInteger(options.skip, "skip", "COUNT") : null
+            );
+            sql = `SELECT COUNT(*) AS \`count\` FROM (SELECT 1${fromClause}${limitClause}) AS \`matched\``;
+        } else {
+            sql = `SELECT COUNT(*) AS \`count\`${fromClause}`;
         }
+        Logger.info("最终生成的 COUNT SQL:", sql, "参数:", params);
+        return { sql, params };
+    }
 
-        // 处理分页
-        if (this.limitValue !== null) {
-            sql += ` LIMIT ${this.limitValue}`;
-            if (this.offsetValue !== null) {
-                sql += ` OFFSET ${this.offsetValue}`;
-            }
-        } else if (this.offsetValue !== null) {
-            sql += ` LIMIT 18446744073709551615 OFFSET ${this.offsetValue}`;
+    /**
+     * 字段去重值，结果列统一为 value；JSON 数组列（及其子路径）通过 JSON_TABLE 展开后去重
+     * @param {string} field 例：'city'、'address.city'、'tags'、'items.sku'
+     * @param {Object} [filter] 追加的过滤条件
+     * @returns {{sql: string, params: Array}}
+     */
+    distinct(field, filter = {}) {
+        const params = [];
+        const parseOptions = buildParseOptions(this.tableName, this.joinConfigs);
+        const parts = field.split(".");
+        const arrayInfo = resolveField(parts[0], parseOptions, "DISTINCT");
+        let valueSQL;
+        let unwind = "";
+        if (arrayInfo.isArray) {
+            const elementPath = toJsonPath(parts.slice(1), "DISTINCT").replace(/^\$/, "$[*]");
+            unwind = ` CROSS JOIN JSON_TABLE(${arrayInfo.sql}, ${quoteLiteral(elementPath)} COLUMNS(\`value\` JSON PATH '$')) AS \`e\``;
+            // 与标量路径一致返回去引号后的值（JSON 路径上的标量同样经 JSON_UNQUOTE）
+            valueSQL = "JSON_UNQUOTE(`e`.`value`)";
+        } else {
+            const fieldInfo = resolveField(field, parseOptions, "DISTINCT");
+            valueSQL = fieldInfo.isJson && fieldInfo.path ? jsonExtractSQL(fieldInfo, true) : fieldInfo.sql;
         }
+        const fromClause = this._fromClause(this._filterWith(filter), params, parseOptions, "DISTINCT", unwind);
+        const sql = `SELECT DISTINCT ${valueSQL} AS \`value\`${fromClause}`;
+        Logger.info("最终生成的 DISTINCT SQL:", sql, "参数:", params);
+        return { sql, params };
+    }
 
-        Logger.info("最终生成的 SELECT SQL:", sql, "参数:", params);
+    /**
+     * 基于 information_schema 的估算行数（InnoDB 为近似值），不解析过滤条件
+     * @returns {{sql: string, params: Array}}
+     */
+    estimatedDocumentCount() {
+        const parts = this.tableName.split(".");
+        parts.forEach(part => assertIdentifier(part, "estimatedDocumentCount"));
+        const schemaCondition = parts.length > 1 ? "TABLE_SCHEMA = ?" : "TABLE_SCHEMA = DATABASE()";
+        const params = parts.length > 1 ? [parts[0], parts[1]] : [parts[0]];
+        const sql = `SELECT TABLE_ROWS AS \`count\` FROM information_schema.TABLES WHERE ${schemaCondition} AND TABLE_NAME = ?`;
+        Logger.info("最终生成的估算计数 SQL:", sql, "参数:", params);
         return { sql, params };
     }
 }
@@ -998,6 +4049,8 @@ module.exports = {
     MongoInsertBuilder,
     SubQuery,
     registerOperatorPlugin,
+    registerTableSchema,
+    configure,
     Logger,
     QueryParseError,
     SQLGenerationError,
@@ -49,8 +49,8 @@ function testBasicAggregation() {
 
     // 断言
     assert.ok(sql.includes("GROUP BY"), "SQL 应包含 GROUP BY 子句");
-    assert.ok(sql.includes("SUM(amount) AS totalSales"), "SQL 应包含聚合字段 totalSales");
-    assert.ok(sql.includes("ORDER BY totalSales DESC"), "SQL 应包含对 totalSales 的降序排序");
+    assert.ok(sql.includes("SUM(`amount`) AS `totalSales`"), "SQL 应包含聚合字段 totalSales");
+    assert.ok(sql.includes("ORDER BY `totalSales` DESC"), "SQL 应包含对 totalSales 的降序排序");
     assert.ok(sql.includes("LIMIT 5"), "SQL 应包含 LIMIT 5");
 }
 
@@ -97,11 +97,11 @@ function testMultipleLookups() {
     Logger.info("测试 2 SQL:", sql);
     Logger.info("测试 2 Params:", params);
 
-    assert.ok(sql.includes("LEFT JOIN customer"), "SQL 应包含 LEFT JOIN customer");
-    assert.ok(sql.includes("LEFT JOIN products"), "SQL 应包含 LEFT JOIN products");
+    assert.ok(sql.includes("LEFT JOIN `customer`"), "SQL 应包含 LEFT JOIN customer");
+    assert.ok(sql.includes("LEFT JOIN `products`"), "SQL 应包含 LEFT JOIN products");
     assert.ok(sql.includes("GROUP BY"), "SQL 应包含 GROUP BY 子句");
-    assert.ok(sql.includes("SUM(amount) AS totalSales"), "SQL 应包含聚合字段 totalSales");
-    assert.ok(sql.includes("ORDER BY totalSales DESC"), "SQL 应包含对 totalSales 的降序排序");
+    assert.ok(sql.includes("SUM(`amount`) AS `totalSales`"), "SQL 应包含聚合字段 totalSales");
+    assert.ok(sql.includes("ORDER BY `totalSales` DESC"), "SQL 应包含对 totalSales 的降序排序");
 }
 
 /* ============================================================
@@ -145,7 +145,7 @@ function testUnwindExample() {
     Logger.info("测试 4 Params:", params);
 
     assert.ok(sql.includes("UNWIND(items)"), "SQL 中应包含 UNWIND(items) 标记");
-    assert.ok(sql.includes("SUM(items.quantity) AS totalQuantity"), "SQL 中应包含 SUM(items.quantity) AS totalQuantity");
+    assert.ok(sql.includes("SUM(`items`.`quantity`) AS `totalQuantity`"), "SQL 中应包含 SUM(items.quantity) AS totalQuantity");
 }
 
 /* ============================================================
@@ -170,9 +170,9 @@ function testNormalJoins() {
     Logger.info("测试 5 SQL:", sql);
     Logger.info("测试 5 Params:", params);
 
-    assert.ok(sql.includes("LEFT JOIN customer"), "SQL 应包含 LEFT JOIN customer");
-    assert.ok(sql.includes("customer.name AS customer_name"), "SQL 应包含 customer.name AS customer_name");
-    assert.ok(sql.includes("ORDER BY orders.createdAt DESC"), "SQL 应包含 ORDER BY orders.createdAt DESC");
+    assert.ok(sql.includes("LEFT JOIN `customer`"), "SQL 应包含 LEFT JOIN customer");
+    assert.ok(sql.includes("`customer`.`name` AS `customer_name`"), "SQL 应包含 customer.name AS customer_name");
+    assert.ok(sql.includes("ORDER BY `orders`.`createdAt` DESC"), "SQL 应包含 ORDER BY orders.createdAt DESC");
     assert.ok(sql.includes("LIMIT 10"), "SQL 应包含 LIMIT 10");
 }
 
@@ -201,7 +201,7 @@ function testUserLoginStats() {
     Logger.info("测试 6 Params:", params);
 
     assert.ok(sql.includes("GROUP BY"), "SQL 中应包含 GROUP BY 子句");
-    assert.ok(sql.includes("SUM(1) AS loginCount"), "SQL 中应包含 SUM(1) AS loginCount");
+    assert.ok(sql.includes("SUM(1) AS `loginCount`"), "SQL 中应包含 SUM(1) AS loginCount");
     assert.ok(sql.includes("LIMIT 30"), "SQL 中应包含 LIMIT 30");
 }
 
@@ -253,12 +253,12 @@ function testComplexAggregationScenario() {
     Logger.info("测试 7 Params:", params);
 
     assert.ok(sql.includes("UNWIND(tags)"), "SQL 中应包含 UNWIND(tags) 标记");
-    assert.ok(sql.includes("LEFT JOIN users"), "SQL 中应包含 LEFT JOIN users");
+    assert.ok(sql.includes("LEFT JOIN `users`"), "SQL 中应包含 LEFT JOIN users");
     assert.ok(sql.includes("GROUP BY"), "SQL 中应包含 GROUP BY");
-    assert.ok(sql.includes("SUM(1) AS totalEvents"), "SQL 中应包含 SUM(1) AS totalEvents");
-    assert.ok(sql.includes("MIN(eventTime) AS earliestEventTime"), "SQL 中应包含 MIN(eventTime) AS earliestEventTime");
-    assert.ok(sql.includes("MAX(eventTime) AS latestEventTime"), "SQL 中应包含 MAX(eventTime) AS latestEventTime");
-    assert.ok(sql.includes("ORDER BY totalEvents DESC"), "SQL 中应包含 ORDER BY totalEvents DESC");
+    assert.ok(sql.includes("SUM(1) AS `totalEvents`"), "SQL 中应包含 SUM(1) AS totalEvents");
+    assert.ok(sql.includes("MIN(`eventTime`) AS `earliestEventTime`"), "SQL 中应包含 MIN(eventTime) AS earliestEventTime");
+    assert.ok(sql.includes("MAX(`eventTime`) AS `latestEventTime`"), "SQL 中应包含 MAX(eventTime) AS latestEventTime");
+    assert.ok(sql.includes("ORDER BY `totalEvents` DESC"), "SQL 中应包含 ORDER BY totalEvents DESC");
     assert.ok(sql.includes("LIMIT 5"), "SQL 中应包含 LIMIT 5");
     assert.ok(sql.includes("OFFSET 10"), "SQL 中应包含 OFFSET 10");
 }
@@ -313,10 +313,10 @@ function testLoginPurchaseFunnel() {
     Logger.info("测试 8 Params:", params);
 
     // 简单断言
-    assert.ok(sql.includes("LEFT JOIN orders AS day1Orders"), "SQL 中应出现 day1Orders JOIN");
-    assert.ok(sql.includes("LEFT JOIN orders AS futureOrders"), "SQL 中应出现 futureOrders JOIN");
-    assert.ok(sql.includes("day1Orders.orderDate = ?"), "SQL 中应包含对 2025-01-01 的筛选");
-    assert.ok(sql.includes("futureOrders.orderDate IN"), "SQL 中应包含对 2025-01-02/2025-01-03 的筛选");
+    assert.ok(sql.includes("LEFT JOIN `orders` AS `day1Orders`"), "SQL 中应出现 day1Orders JOIN");
+    assert.ok(sql.includes("LEFT JOIN `orders` AS `futureOrders`"), "SQL 中应出现 futureOrders JOIN");
+    assert.ok(sql.includes("`day1Orders`.`orderDate` = ?"), "SQL 中应包含对 2025-01-01 的筛选");
+    assert.ok(sql.includes("`futureOrders`.`orderDate` IN"), "SQL 中应包含对 2025-01-02/2025-01-03 的筛选");
     Logger.info("测试 8：登录-下单-复购漏斗通过\n");
 }
 
@@ -354,9 +354,9 @@ function testAveragePurchaseValue() {
     Logger.info("测试 9.1 Params:", params);
 
     // 断言
-    assert.ok(sql.includes("AVG(amount) AS avgAmount"), "SQL 中应包含 AVG(amount) AS avgAmount");
+    assert.ok(sql.includes("AVG(`amount`) AS `avgAmount`"), "SQL 中应包含 AVG(amount) AS avgAmount");
     assert.ok(sql.includes("GROUP BY"), "SQL 中应包含 GROUP BY");
-    assert.ok(sql.includes("ORDER BY avgAmount DESC"), "SQL 应包含对 avgAmount 的降序排序");
+    assert.ok(sql.includes("ORDER BY `avgAmount` DESC"), "SQL 应包含对 avgAmount 的降序排序");
 }
 
 /**
@@ -388,8 +388,8 @@ function testMinMaxUserActivity() {
     Logger.info("测试 9.2 SQL:", sql);
     Logger.info("测试 9.2 Params:", params);
 
-    assert.ok(sql.includes("MIN(activityTime) AS earliestActivity"), "SQL 中应包含 MIN(activityTime) AS earliestActivity");
-    assert.ok(sql.includes("MAX(activityTime) AS latestActivity"), "SQL 中应包含 MAX(activityTime) AS latestActivity");
+    assert.ok(sql.includes("MIN(`activityTime`) AS `earliestActivity`"), "SQL 中应包含 MIN(activityTime) AS earliestActivity");
+    assert.ok(sql.includes("MAX(`activityTime`) AS `latestActivity`"), "SQL 中应包含 MAX(activityTime) AS latestActivity");
     assert.ok(sql.includes("GROUP BY"), "SQL 中应包含 GROUP BY");
 }
 
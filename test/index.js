@@ -8,6 +8,10 @@ const {
     MongoDeleteBuilder,
     MongoInsertBuilder,
     SubQuery,
+    QueryParseError,
+    registerTableSchema,
+    registerOperatorPlugin,
+    configure,
     mongoToMySQL,
     mongoToMySQLWithJoinsOptimized
 } = require('../lib');
@@ -33,7 +37,7 @@ const {
         const builder = new MongoInsertBuilder('users');
         builder.insertOne({ name: 'John Doe', age: 30 });
         let res = builder.toSQL();
-        if (res.sql === "INSERT INTO users (name, age) VALUES (?, ?)") {
+        if (res.sql === "INSERT INTO `users` (`name`, `age`) VALUES (?, ?)") {
             logSuccess("✔ Test 1 - 单条插入通过");
             passedTests++;
         } else {
@@ -50,7 +54,7 @@ const {
             { name: 'Bob', age: 28 }
         ]);
         let res = builder.toSQL();
-        if (res.sql === "INSERT INTO users (name, age) VALUES (?, ?), (?, ?)") {
+        if (res.sql === "INSERT INTO `users` (`name`, `age`) VALUES (?, ?), (?, ?)") {
             logSuccess("✔ Test 2 - 批量插入通过");
             passedTests++;
         } else {
@@ -64,7 +68,7 @@ const {
         const builder = new MongoInsertBuilder('users');
         builder.insertOne({ id: 1, name: 'Charlie', age: 40 }).upsert(true, ['name', 'age']);
         let res = builder.toSQL();
-        if (res.sql === "INSERT INTO users (id, name, age) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE name = VALUES(name), age = VALUES(age)") {
+        if (res.sql === "INSERT INTO `users` (`id`, `name`, `age`) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE `name` = VALUES(`name`), `age` = VALUES(`age`)") {
             logSuccess("✔ Test 3 - Upsert 插入通过");
             passedTests++;
         } else {
@@ -78,7 +82,7 @@ const {
         const builder = new MongoInsertBuilder('users');
         builder.insertOne({ age: 22, name: 'David' });
         let res = builder.toSQL();
-        if (res.sql === "INSERT INTO users (age, name) VALUES (?, ?)") {
+        if (res.sql === "INSERT INTO `users` (`age`, `name`) VALUES (?, ?)") {
             logSuccess("✔ Test 4 - 字段顺序插入通过");
             passedTests++;
         } else {
@@ -94,7 +98,7 @@ const {
         const builder = new MongoUpdateBuilder('users');
         builder.query({ name: 'John Doe' }).update({ $set: { age: 31 } });
         let res = builder.toSQL();
-        if (res.sql === "UPDATE users SET age = ? WHERE name = ?") {
+        if (res.sql === "UPDATE `users` SET `age` = ? WHERE `name` = ?") {
             logSuccess("✔ Test 5 - 单条更新 $set通过");
             passedTests++;
         } else {
@@ -108,7 +112,7 @@ const {
         const builder = new MongoUpdateBuilder('users');
         builder.query({ name: 'Alice' }).update({ $inc: { age: 1 } });
         let res = builder.toSQL();
-        if (res.sql === "UPDATE users SET age = age + ? WHERE name = ?") {
+        if (res.sql === "UPDATE `users` SET `age` = `age` + ? WHERE `name` = ?") {
             logSuccess("✔ Test 6 - 更新 $inc通过");
             passedTests++;
         } else {
@@ -122,7 +126,7 @@ const {
         const builder = new MongoUpdateBuilder('users');
         builder.query({ name: 'Bob' }).update({ $unset: { age: "" } });
         let res = builder.toSQL();
-        if (res.sql === "UPDATE users SET age = NULL WHERE name = ?") {
+        if (res.sql === "UPDATE `users` SET `age` = NULL WHERE `name` = ?") {
             logSuccess("✔ Test 7 - 更新 $unset通过");
             passedTests++;
         } else {
@@ -136,7 +140,7 @@ const {
         const builder = new MongoUpdateBuilder('users');
         builder.query({ name: 'Alice' }).update({ $mul: { age: 2 } });
         let res = builder.toSQL();
-        if (res.sql === "UPDATE users SET age = age * ? WHERE name = ?") {
+        if (res.sql === "UPDATE `users` SET `age` = `age` * ? WHERE `name` = ?") {
             logSuccess("✔ Test 8 - 更新 $mul通过");
             passedTests++;
         } else {
@@ -150,7 +154,7 @@ const {
         const builder = new MongoUpdateBuilder('users');
         builder.query({ name: 'Eve' ,role: 'admin'}).update({ $set: { active: false } });
         let res = builder.toSQL();
-        if (res.sql === "UPDATE users SET active = ? WHERE name = ? AND role = ?") {
+        if (res.sql === "UPDATE `users` SET `active` = ? WHERE `name` = ? AND `role` = ?") {
             logSuccess("✔ Test 10 - 多条件更新通过");
             passedTests++;
         } else {
@@ -168,7 +172,7 @@ const {
         const builder = new MongoDeleteBuilder('users');
         builder.query({ name: 'John Doe' }).single();
         let res = builder.toSQL();
-        if (res.sql === "DELETE FROM users WHERE name = ? LIMIT 1") {
+        if (res.sql === "DELETE FROM `users` WHERE `name` = ? LIMIT 1") {
             logSuccess("✔ Test 11 - 单条删除通过");
             passedTests++;
         } else {
@@ -182,7 +186,7 @@ const {
         const builder = new MongoDeleteBuilder('users');
         builder.query({ active: false });
         let res = builder.toSQL();
-        if (res.sql === "DELETE FROM users WHERE active = ?") {
+        if (res.sql === "DELETE FROM `users` WHERE `active` = ?") {
             logSuccess("✔ Test 12 - 多条删除通过");
             passedTests++;
         } else {
@@ -198,7 +202,7 @@ const {
         const builder = new MongoQueryBuilder('users');
         builder.query({ age: { $gte: 18 } }).project(['name', 'age']);
         let res = builder.toSQL();
-        if (res.sql === "SELECT name, age FROM users WHERE age >= ?") {
+        if (res.sql === "SELECT `name`, `age` FROM `users` WHERE `age` >= ?") {
             logSuccess("✔ Test 13 - 简单查询通过");
             passedTests++;
         } else {
@@ -212,7 +216,7 @@ const {
         const builder = new MongoQueryBuilder('users');
         builder.query({ age: { $gte: 18 }, active: true });
         let res = builder.toSQL();
-        if (res.sql === "SELECT * FROM users WHERE age >= ? AND active = ?") {
+        if (res.sql === "SELECT * FROM `users` WHERE `age` >= ? AND `active` = ?") {
             logSuccess("✔ Test 14 - 多条件查询通过");
             passedTests++;
         } else {
@@ -226,7 +230,7 @@ const {
         const builder = new MongoQueryBuilder('users');
         builder.query({ $or: [{ age: { $lt: 18 } }, { active: false }] });
         let res = builder.toSQL();
-        if (res.sql === "SELECT * FROM users WHERE (age < ? OR active = ?)") {
+        if (res.sql === "SELECT * FROM `users` WHERE (`age` < ? OR `active` = ?)") {
             logSuccess("✔ Test 15 - $or 查询通过");
             passedTests++;
         } else {
@@ -240,7 +244,7 @@ const {
         const builder = new MongoQueryBuilder('users');
         builder.query({ $nor: [{ age: { $lt: 18 } }, { active: false }] });
         let res = builder.toSQL();
-        if (res.sql === "SELECT * FROM users WHERE NOT (age < ? OR active = ?)") {
+        if (res.sql === "SELECT * FROM `users` WHERE NOT (`age` < ? OR `active` = ?)") {
             logSuccess("✔ Test 16 - $nor 查询通过");
             passedTests++;
         } else {
@@ -259,7 +263,7 @@ const {
             ]
         });
         let res = builder.toSQL();
-        if (res.sql === "SELECT * FROM users WHERE age >= ? AND (active = ? OR role = ?)") {
+        if (res.sql === "SELECT * FROM `users` WHERE `age` >= ? AND (`active` = ? OR `role` = ?)") {
             logSuccess("✔ Test 17 - 嵌套查询通过");
             passedTests++;
         } else {
@@ -273,7 +277,7 @@ const {
         const builder = new MongoQueryBuilder('users');
         builder.query({ age: { $in: [20, 25, 30] } });
         let res = builder.toSQL();
-        if (res.sql === "SELECT * FROM users WHERE age IN (?, ?, ?)") {
+        if (res.sql === "SELECT * FROM `users` WHERE `age` IN (?, ?, ?)") {
             logSuccess("✔ Test 18 - $in 数组查询通过");
             passedTests++;
         } else {
@@ -287,7 +291,7 @@ const {
         const builder = new MongoQueryBuilder('users');
         builder.query({ age: { $nin: [20, 25] } });
         let res = builder.toSQL();
-        if (res.sql === "SELECT * FROM users WHERE age NOT IN (?, ?)") {
+        if (res.sql === "SELECT * FROM `users` WHERE (`age` NOT IN (?, ?) OR `age` IS NULL)") {
             logSuccess("✔ Test 19 - $nin 查询通过");
             passedTests++;
         } else {
@@ -302,7 +306,7 @@ const {
         builder.query({ tags: { $all: ['vip', 'active'] } });
         let res = builder.toSQL();
         // 期望的 SQL 查询应该是：SELECT * FROM users WHERE (JSON_CONTAINS(tags, ?) AND JSON_CONTAINS(tags, ?))
-        if (res.sql === "SELECT * FROM users WHERE (JSON_CONTAINS(tags, ?) AND JSON_CONTAINS(tags, ?))") {
+        if (res.sql === "SELECT * FROM `users` WHERE (JSON_CONTAINS(`tags`, ?) AND JSON_CONTAINS(`tags`, ?))") {
             logSuccess("✔ Test 20 - $all 查询通过");
             passedTests++;
         } else {
@@ -320,7 +324,7 @@ const {
         agg.match({ status: 'completed' })
             .group({ _id: '$customer_id', totalAmount: { $sum: '$amount' } });
         let res = agg.toSQL();
-        if (res.sql === "SELECT customer_id AS _id, SUM(amount) AS totalAmount FROM orders WHERE status = ? GROUP BY customer_id") {
+        if (res.sql === "SELECT `customer_id` AS `_id`, SUM(`amount`) AS `totalAmount` FROM `orders` WHERE `status` = ? GROUP BY `customer_id`") {
             logSuccess("✔ Test 21 - 聚合查询 SUM通过");
             passedTests++;
         } else {
@@ -335,7 +339,7 @@ const {
         agg.match({ status: 'completed' })
             .group({ _id: '$customer_id', avgAmount: { $avg: '$amount' } });
         let res = agg.toSQL();
-        if (res.sql === "SELECT customer_id AS _id, AVG(amount) AS avgAmount FROM orders WHERE status = ? GROUP BY customer_id") {
+        if (res.sql === "SELECT `customer_id` AS `_id`, AVG(`amount`) AS `avgAmount` FROM `orders` WHERE `status` = ? GROUP BY `customer_id`") {
             logSuccess("✔ Test 22 - 聚合查询 AVG通过");
             passedTests++;
         } else {
@@ -350,7 +354,7 @@ const {
         agg.match({ status: 'completed' })
             .group({ _id: '$customer_id', minAmount: { $min: '$amount' } });
         let res = agg.toSQL();
-        if (res.sql === "SELECT customer_id AS _id, MIN(amount) AS minAmount FROM orders WHERE status = ? GROUP BY customer_id") {
+        if (res.sql === "SELECT `customer_id` AS `_id`, MIN(`amount`) AS `minAmount` FROM `orders` WHERE `status` = ? GROUP BY `customer_id`") {
             logSuccess("✔ Test 23 - 聚合查询 MIN通过");
             passedTests++;
         } else {
@@ -365,7 +369,7 @@ const {
         agg.match({ status: 'completed' })
             .group({ _id: '$customer_id', maxAmount: { $max: '$amount' } });
         let res = agg.toSQL();
-        if (res.sql === "SELECT customer_id AS _id, MAX(amount) AS maxAmount FROM orders WHERE status = ? GROUP BY customer_id") {
+        if (res.sql === "SELECT `customer_id` AS `_id`, MAX(`amount`) AS `maxAmount` FROM `orders` WHERE `status` = ? GROUP BY `customer_id`") {
             logSuccess("✔ Test 24 - 聚合查询 MAX通过");
             passedTests++;
         } else {
@@ -380,7 +384,7 @@ const {
         agg.match({ status: 'completed' })
             .group({ _id: '$customer_id', total: { $sum: '$amount' }, avg: { $avg: '$amount' } });
         let res = agg.toSQL();
-        if (res.sql === "SELECT customer_id AS _id, SUM(amount) AS total, AVG(amount) AS avg FROM orders WHERE status = ? GROUP BY customer_id") {
+        if (res.sql === "SELECT `customer_id` AS `_id`, SUM(`amount`) AS `total`, AVG(`amount`) AS `avg` FROM `orders` WHERE `status` = ? GROUP BY `customer_id`") {
             logSuccess("✔ Test 25 - 聚合查询 SUM 和 AVG");
             passedTests++;
         } else {
@@ -396,7 +400,7 @@ const {
             .group({ _id: '$customer_id', total: { $sum: '$amount' } })
             .sort({ total: -1 });
         let res = agg.toSQL();
-        if (res.sql === "SELECT customer_id AS _id, SUM(amount) AS total FROM orders WHERE status = ? GROUP BY customer_id ORDER BY total DESC") {
+        if (res.sql === "SELECT `customer_id` AS `_id`, SUM(`amount`) AS `total` FROM `orders` WHERE `status` = ? GROUP BY `customer_id` ORDER BY `total` DESC") {
             logSuccess("✔ Test 26 - 聚合查询排序");
             passedTests++;
         } else {
@@ -413,7 +417,7 @@ const {
             .skip(5)
             .limit(10);
         let res = agg.toSQL();
-        if (res.sql === "SELECT customer_id AS _id, SUM(amount) AS total FROM orders WHERE status = ? GROUP BY customer_id LIMIT 10 OFFSET 5") {
+        if (res.sql === "SELECT `customer_id` AS `_id`, SUM(`amount`) AS `total` FROM `orders` WHERE `status` = ? GROUP BY `customer_id` LIMIT 10 OFFSET 5") {
             logSuccess("✔ Test 27 - 聚合查询跳过与限制");
             passedTests++;
         } else {
@@ -430,7 +434,7 @@ const {
             .skip(5)
             .limit(10);
         let res = agg.toSQL();
-        if (res.sql === "SELECT customer_id AS _id, SUM(amount) AS total FROM orders WHERE status = ? GROUP BY customer_id LIMIT 10 OFFSET 5") {
+        if (res.sql === "SELECT `customer_id` AS `_id`, SUM(`amount`) AS `total` FROM `orders` WHERE `status` = ? GROUP BY `customer_id` LIMIT 10 OFFSET 5") {
             logSuccess("✔ Test 28 - 聚合跳过与限制");
             passedTests++;
         } else {
@@ -446,7 +450,7 @@ const {
             .lookup({ from: 'users', localField: 'user_id', foreignField: 'id', as: 'user' })
             .group({ _id: '$customer_id', total: { $sum: '$amount' } });
         let res = agg.toSQL();
-        if (res.sql === "SELECT customer_id AS _id, SUM(amount) AS total FROM orders LEFT JOIN users AS user ON orders.user_id = user.id WHERE status = ? GROUP BY customer_id") {
+        if (res.sql === "SELECT `customer_id` AS `_id`, SUM(`amount`) AS `total` FROM `orders` LEFT JOIN `users` AS `user` ON `orders`.`user_id` = `user`.`id` WHERE `status` = ? GROUP BY `customer_id`") {
             logSuccess("✔ Test 29 - 聚合查询 $lookup通过");
             passedTests++;
         } else {
@@ -462,7 +466,7 @@ const {
             .unwind('items')
             .group({ _id: '$customer_id', total: { $sum: '$amount' } });
         let res = agg.toSQL();
-        if (res.sql === "SELECT customer_id AS _id, SUM(amount) AS total FROM orders /* UNWIND(items) */ WHERE status = ? GROUP BY customer_id") {
+        if (res.sql === "SELECT `customer_id` AS `_id`, SUM(`amount`) AS `total` FROM `orders` /* UNWIND(items) */ WHERE `status` = ? GROUP BY `customer_id`") {
             logSuccess("✔ Test 30 - 聚合查询 $unwind通过");
             passedTests++;
         } else {
@@ -478,7 +482,7 @@ const {
             .match({ region: 'US' })
             .group({ _id: '$customer_id', total: { $sum: '$amount' } });
         let res = agg.toSQL();
-        if (res.sql === "SELECT customer_id AS _id, SUM(amount) AS total FROM orders WHERE status = ? AND region = ? GROUP BY customer_id") {
+        if (res.sql === "SELECT `customer_id` AS `_id`, SUM(`amount`) AS `total` FROM `orders` WHERE `status` = ? AND `region` = ? GROUP BY `customer_id`") {
             logSuccess("✔ Test 31 - 多重 $match通过");
             passedTests++;
         } else {
@@ -493,7 +497,7 @@ const {
         agg.project(['field1','field2'])
             .match({ status: 'completed' });
         let res = agg.toSQL();
-        if (res.sql === "SELECT field1, field2 FROM orders WHERE status = ?") {
+        if (res.sql === "SELECT `field1`, `field2` FROM `orders` WHERE `status` = ?") {
             logSuccess("✔ Test 32 - 聚合查询 $project通过");
             passedTests++;
         } else {
@@ -508,7 +512,7 @@ const {
         agg.match({ status: 'completed' })
             .limit(5);
         let res = agg.toSQL();
-        if (res.sql === "SELECT * FROM orders WHERE status = ? LIMIT 5") {
+        if (res.sql === "SELECT * FROM `orders` WHERE `status` = ? LIMIT 5") {
             logSuccess("✔ Test 33 - 聚合查询仅 $limit通过");
             passedTests++;
         } else {
@@ -523,7 +527,7 @@ const {
         agg.match({ status: 'completed' })
             .skip(3);
         let res = agg.toSQL();
-        if (res.sql === "SELECT * FROM orders WHERE status = ? LIMIT 18446744073709551615 OFFSET 3") {
+        if (res.sql === "SELECT * FROM `orders` WHERE `status` = ? LIMIT 18446744073709551615 OFFSET 3") {
             logSuccess("✔ Test 34 - 聚合查询仅 $skip通过");
             passedTests++;
         } else {
@@ -537,7 +541,7 @@ const {
         const agg = new MongoAggregationBuilder('orders');
         agg.group({ _id: '$customer_id', total: { $sum: '$amount' } });
         let res = agg.toSQL();
-        if (res.sql === "SELECT customer_id AS _id, SUM(amount) AS total FROM orders GROUP BY customer_id") {
+        if (res.sql === "SELECT `customer_id` AS `_id`, SUM(`amount`) AS `total` FROM `orders` GROUP BY `customer_id`") {
             logSuccess("✔ Test 35 - 聚合查询无 match通过");
             passedTests++;
         } else {
@@ -552,7 +556,7 @@ const {
         agg.match({ status: 'completed' })
             .group({ _id: 'all', total: { $sum: '$amount' } });
         let res = agg.toSQL();
-        if (res.sql === "SELECT 'all' AS _id, SUM(amount) AS total FROM orders WHERE status = ? GROUP BY _id") {
+        if (res.sql === "SELECT 'all' AS `_id`, SUM(`amount`) AS `total` FROM `orders` WHERE `status` = ? GROUP BY `_id`") {
             logSuccess("✔ Test 36 - 聚合查询常量 _id通过");
             passedTests++;
         } else {
@@ -573,7 +577,7 @@ const {
                 max: { $max: '$amount' }
             });
         let res = agg.toSQL();
-        if (res.sql === "SELECT customer_id AS _id, SUM(amount) AS total, AVG(amount) AS avg, MIN(amount) AS min, MAX(amount) AS max FROM orders WHERE status = ? GROUP BY customer_id") {
+        if (res.sql === "SELECT `customer_id` AS `_id`, SUM(`amount`) AS `total`, AVG(`amount`) AS `avg`, MIN(`amount`) AS `min`, MAX(`amount`) AS `max` FROM `orders` WHERE `status` = ? GROUP BY `customer_id`") {
             logSuccess("✔ Test 37 - 复杂 group 聚合通过");
             passedTests++;
         } else {
@@ -589,7 +593,7 @@ const {
             .group({ _id: '$customer_id', total: { $sum: '$amount' } })
             .sort({ total: -1, _id: 1 });
         let res = agg.toSQL();
-        if (res.sql === "SELECT customer_id AS _id, SUM(amount) AS total FROM orders WHERE status = ? GROUP BY customer_id ORDER BY total DESC, _id ASC") {
+        if (res.sql === "SELECT `customer_id` AS `_id`, SUM(`amount`) AS `total` FROM `orders` WHERE `status` = ? GROUP BY `customer_id` ORDER BY `total` DESC, `_id` ASC") {
             logSuccess("✔ Test 38 - 聚合多重排序通过");
             passedTests++;
         } else {
@@ -607,7 +611,7 @@ const {
             .skip(2)
             .limit(5);
         let res = agg.toSQL();
-        if (res.sql === "SELECT customer_id AS _id, SUM(amount) AS total FROM orders WHERE status = ? GROUP BY customer_id ORDER BY total DESC LIMIT 5 OFFSET 2") {
+        if (res.sql === "SELECT `customer_id` AS `_id`, SUM(`amount`) AS `total` FROM `orders` WHERE `status` = ? GROUP BY `customer_id` ORDER BY `total` DESC LIMIT 5 OFFSET 2") {
             logSuccess("✔ Test 39 - 完整聚合管道通过");
             passedTests++;
         } else {
@@ -622,7 +626,7 @@ const {
         agg.group({ _id: '$customer_id', total: { $sum: '$amount' } })
             .sort({ total: 1 });
         let res = agg.toSQL();
-        if (res.sql === "SELECT customer_id AS _id, SUM(amount) AS total FROM orders GROUP BY customer_id ORDER BY total ASC") {
+        if (res.sql === "SELECT `customer_id` AS `_id`, SUM(`amount`) AS `total` FROM `orders` GROUP BY `customer_id` ORDER BY `total` ASC") {
             logSuccess("✔ Test 40 - 聚合无匹配条件通过");
             passedTests++;
         } else {
@@ -637,7 +641,7 @@ const {
         agg.match({ status: 'completed' })
             .group({ _id: null, total: { $sum: '$amount' } });
         let res = agg.toSQL();
-        if (res.sql === "SELECT SUM(amount) AS total FROM orders WHERE status = ?") {
+        if (res.sql === "SELECT SUM(`amount`) AS `total` FROM `orders` WHERE `status` = ?") {
             logSuccess("✔ Test 41 - 聚合 group _id 为 null");
             passedTests++;
         } else {
@@ -652,7 +656,7 @@ const {
         agg.match({ status: 'completed' })
             .group({ _id: 'all', total: { $sum: '$amount' } });
         let res = agg.toSQL();
-        if (res.sql === "SELECT 'all' AS _id, SUM(amount) AS total FROM orders WHERE status = ? GROUP BY _id") {
+        if (res.sql === "SELECT 'all' AS `_id`, SUM(`amount`) AS `total` FROM `orders` WHERE `status` = ? GROUP BY `_id`") {
             logSuccess("✔ Test 42 - 聚合 group _id 为字符串");
             passedTests++;
         } else {
@@ -671,7 +675,7 @@ const {
             .skip(1)
             .limit(5);
         let res = agg.toSQL();
-        if (res.sql === "SELECT customer_id AS _id, SUM(amount) AS total FROM orders LEFT JOIN users AS u ON orders.user_id = u.id WHERE status = ? GROUP BY customer_id ORDER BY total DESC LIMIT 5 OFFSET 1") {
+        if (res.sql === "SELECT `customer_id` AS `_id`, SUM(`amount`) AS `total` FROM `orders` LEFT JOIN `users` AS `u` ON `orders`.`user_id` = `u`.`id` WHERE `status` = ? GROUP BY `customer_id` ORDER BY `total` DESC LIMIT 5 OFFSET 1") {
             logSuccess("✔ Test 43 - 复杂聚合管道通过");
             passedTests++;
         } else {
@@ -686,7 +690,7 @@ const {
         agg.match({ status: 'completed' })
             .group({ _id: 'all', total: { $sum: '$amount' } });
         let res = agg.toSQL();
-        if (res.sql === "SELECT 'all' AS _id, SUM(amount) AS total FROM orders WHERE status = ? GROUP BY _id") {
+        if (res.sql === "SELECT 'all' AS `_id`, SUM(`amount`) AS `total` FROM `orders` WHERE `status` = ? GROUP BY `_id`") {
             logSuccess("✔ Test 44 - 聚合 group _id 为常量通过");
             passedTests++;
         } else {
@@ -701,7 +705,7 @@ const {
         agg.match({ status: 'completed' })
             .group({ _id: { customer: '$customer_id', date: '$order_date' }, total: { $sum: '$amount' } });
         let res = agg.toSQL();
-        if (res.sql === "SELECT customer_id, order_date, SUM(amount) AS total FROM orders WHERE status = ? GROUP BY customer_id, order_date") {
+        if (res.sql === "SELECT `customer_id`, `order_date`, SUM(`amount`) AS `total` FROM `orders` WHERE `status` = ? GROUP BY `customer_id`, `order_date`") {
             logSuccess("✔ Test 45 - 复杂 group _id通过");
             passedTests++;
         } else {
@@ -718,7 +722,7 @@ const {
             .sort({ total: -1 })
             .limit(3);
         let res = agg.toSQL();
-        if (res.sql === "SELECT customer_id AS _id, SUM(amount) AS total FROM orders WHERE status = ? GROUP BY customer_id ORDER BY total DESC LIMIT 3") {
+        if (res.sql === "SELECT `customer_id` AS `_id`, SUM(`amount`) AS `total` FROM `orders` WHERE `status` = ? GROUP BY `customer_id` ORDER BY `total` DESC LIMIT 3") {
             logSuccess("✔ Test 46 - 聚合排序后 LIMIT通过");
             passedTests++;
         } else {
@@ -734,7 +738,7 @@ const {
             .group({ _id: '$customer_id', total: { $sum: '$amount' } })
             .sort({ total: -1, _id: 1 });
         let res = agg.toSQL();
-        if (res.sql === "SELECT customer_id AS _id, SUM(amount) AS total FROM orders WHERE status = ? GROUP BY customer_id ORDER BY total DESC, _id ASC") {
+        if (res.sql === "SELECT `customer_id` AS `_id`, SUM(`amount`) AS `total` FROM `orders` WHERE `status` = ? GROUP BY `customer_id` ORDER BY `total` DESC, `_id` ASC") {
             logSuccess("✔ Test 47 - 聚合查询多键排序通过");
             passedTests++;
         } else {
@@ -753,7 +757,7 @@ const {
             .skip(1)
             .limit(5);
         let res = agg.toSQL();
-        if (res.sql === "SELECT customer_id AS _id, SUM(amount) AS total FROM orders LEFT JOIN users AS u ON orders.user_id = u.id WHERE status = ? AND region = ? GROUP BY customer_id ORDER BY total DESC LIMIT 5 OFFSET 1") {
+        if (res.sql === "SELECT `customer_id` AS `_id`, SUM(`amount`) AS `total` FROM `orders` LEFT JOIN `users` AS `u` ON `orders`.`user_id` = `u`.`id` WHERE `status` = ? AND `region` = ? GROUP BY `customer_id` ORDER BY `total` DESC LIMIT 5 OFFSET 1") {
             logSuccess("✔ Test 48 - 复杂聚合管道通过");
             passedTests++;
         } else {
@@ -767,7 +771,7 @@ const {
         const agg = new MongoAggregationBuilder('orders');
         agg.group({ _id: '$customer_id', total: { $sum: '$amount' } });
         let res = agg.toSQL();
-        if (res.sql === "SELECT customer_id AS _id, SUM(amount) AS total FROM orders GROUP BY customer_id") {
+        if (res.sql === "SELECT `customer_id` AS `_id`, SUM(`amount`) AS `total` FROM `orders` GROUP BY `customer_id`") {
             logSuccess("✔ Test 49 - 聚合查询仅 group 阶段通过");
             passedTests++;
         } else {
@@ -781,12 +785,12 @@ const {
         const agg = new MongoAggregationBuilder('orders');
         agg.match({ status: 'completed', region: 'EU' })
             .group({ _id: '$customer_id', total: { $sum: '$amount' }, avg: { $avg: '$amount' } })
-            .project(["extra"])
+            .project(["_id", "total"])
             .sort({ total: -1 })
             .skip(2)
             .limit(4);
         let res = agg.toSQL();
-        if (res.sql === "SELECT extra, customer_id AS _id, SUM(amount) AS total, AVG(amount) AS avg FROM orders WHERE status = ? AND region = ? GROUP BY customer_id ORDER BY total DESC LIMIT 4 OFFSET 2") {
+        if (res.sql === "SELECT `_id`, `total` FROM (SELECT `customer_id` AS `_id`, SUM(`amount`) AS `total`, AVG(`amount`) AS `avg` FROM `orders` WHERE `status` = ? AND `region` = ? GROUP BY `customer_id`) AS `_stage1` ORDER BY `total` DESC LIMIT 4 OFFSET 2") {
             logSuccess("✔ Test 50 - 综合聚合管道通过");
             passedTests++;
         } else {
@@ -795,6 +799,1501 @@ const {
         }
     } catch (e) { logFailure("X Test 50 出错：", e); failedTests++; }
 
+    // ------------------------- 标识符校验 -------------------------
+
+    // Test 51: 保留字字段与表名使用反引号引用
+    try {
+        const builder = new MongoQueryBuilder('order');
+        builder.query({ group: 'a', 'order.desc': 1 }).sort({ order: -1 });
+        let res = builder.toSQL();
+        if (res.sql === "SELECT * FROM `order` WHERE `group` = ? AND `order`.`desc` = ? ORDER BY `order` DESC") {
+            logSuccess("✔ Test 51 - 保留字引用通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 51 - 保留字引用失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 51 出错：", e); failedTests++; }
+
+    // Test 52: 过滤条件中的非法字段名被拒绝
+    try {
+        const builder = new MongoQueryBuilder('users');
+        builder.query({ "age; DROP TABLE users --": 1 });
+        let res = builder.toSQL();
+        logFailure("X Test 52 - 非法字段名未被拒绝", res.sql);
+        failedTests++;
+    } catch (e) {
+        if (e instanceof QueryParseError) {
+            logSuccess("✔ Test 52 - 非法字段名被拒绝通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 52 出错：", e);
+            failedTests++;
+        }
+    }
+
+    // Test 53: JOIN 的 ON 条件与别名引用
+    try {
+        const builder = new MongoQueryBuilder('users');
+        builder.join([{ tableName: 'orders', joinType: 'left join', alias: 'o', on: 'users.id = o.user_id' }])
+            .query({ 'o.status': 'paid' });
+        let res = builder.toSQL();
+        if (res.sql === "SELECT * FROM `users` LEFT JOIN `orders` AS `o` ON `users`.`id` = `o`.`user_id` WHERE `o`.`status` = ?") {
+            logSuccess("✔ Test 53 - JOIN 引用通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 53 - JOIN 引用失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 53 出错：", e); failedTests++; }
+
+    // Test 54: 非法的 JOIN ON 条件与排序字符串被拒绝
+    try {
+        let rejected = 0;
+        try {
+            new MongoQueryBuilder('users')
+                .join([{ tableName: 'orders', joinType: 'LEFT JOIN', on: 'users.id = orders.user_id OR 1=1' }])
+                .toSQL();
+        } catch (e) { if (e instanceof QueryParseError) rejected++; }
+        try {
+            new MongoQueryBuilder('users').sort("id; DELETE FROM users").toSQL();
+        } catch (e) { if (e instanceof QueryParseError) rejected++; }
+        if (rejected === 2) {
+            logSuccess("✔ Test 54 - 非法 ON 与排序被拒绝通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 54 - 非法 ON 与排序未被拒绝", rejected);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 54 出错：", e); failedTests++; }
+
+    // Test 55: 批量更新与 upsert 中的列名引用
+    try {
+        const builder = new MongoUpdateBuilder('users');
+        builder.query({ active: true }).update([{ id: 1, key: 'a' }, { id: 2, key: 'b' }]);
+        let res = builder.toSQL();
+        const insert = new MongoInsertBuilder('users').insertOne({ id: 1, key: 'a' }).upsert(true, ['key']).toSQL();
+        if (res.sql === "UPDATE `users` SET `key` = CASE `id` WHEN ? THEN ? WHEN ? THEN ? ELSE `key` END WHERE `id` IN (?, ?) AND (`active` = ?)"
+            && insert.sql === "INSERT INTO `users` (`id`, `key`) VALUES (?, ?) ON DUPLICATE KEY UPDATE `key` = VALUES(`key`)") {
+            logSuccess("✔ Test 55 - 更新与 upsert 列名引用通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 55 - 更新与 upsert 列名引用失败", res.sql + " | " + insert.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 55 出错：", e); failedTests++; }
+
+    // ------------------------- JSON 列路径 -------------------------
+
+    registerTableSchema('profiles', { columns: { address: 'json' }, jsonColumns: ['items'] });
+    registerTableSchema('shipments', { jsonColumns: ['meta'] });
+
+    // Test 56: JSON 列点号路径编译为 JSON_EXTRACT，数值比较不去引号
+    try {
+        const builder = new MongoQueryBuilder('profiles');
+        builder.query({ 'address.city': 'Paris', 'items.0.sku': { $in: ['A', 'B'] }, 'address.zip': { $gte: 75000 } });
+        let res = builder.toSQL();
+        if (res.sql === "SELECT * FROM `profiles` WHERE JSON_UNQUOTE(JSON_EXTRACT(`address`, '$.city')) = ? AND JSON_UNQUOTE(JSON_EXTRACT(`items`, '$[0].sku')) IN (?, ?) AND JSON_EXTRACT(`address`, '$.zip') >= ?"
+            && JSON.stringify(res.params) === JSON.stringify(['Paris', 'A', 'B', 75000])) {
+            logSuccess("✔ Test 56 - JSON 路径查询通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 56 - JSON 路径查询失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 56 出错：", e); failedTests++; }
+
+    // Test 57: JOIN 别名上的 JSON 列与普通限定列共存，布尔值按 JSON 文本比较
+    try {
+        const builder = new MongoQueryBuilder('profiles');
+        builder.join([{ tableName: 'shipments', joinType: 'LEFT JOIN', alias: 's', on: 'profiles.id = s.profile_id' }])
+            .query({ 's.meta.fragile': true, 's.status': 'sent', 'address.geo': { lat: 1 } });
+        let res = builder.toSQL();
+        if (res.sql === "SELECT * FROM `profiles` LEFT JOIN `shipments` AS `s` ON `profiles`.`id` = `s`.`profile_id` WHERE JSON_UNQUOTE(JSON_EXTRACT(`s`.`meta`, '$.fragile')) = ? AND `s`.`status` = ? AND JSON_EXTRACT(`address`, '$.geo') = CAST(? AS JSON)"
+            && JSON.stringify(res.params) === JSON.stringify(['true', 'sent', '{"lat":1}'])) {
+            logSuccess("✔ Test 57 - JOIN JSON 路径查询通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 57 - JOIN JSON 路径查询失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 57 出错：", e); failedTests++; }
+
+    // Test 58: 箭头形式的 JSON 路径
+    try {
+        configure({ JSON_PATH_STYLE: 'arrow' });
+        const builder = new MongoDeleteBuilder('profiles');
+        builder.query({ 'address.city': { $ne: 'Paris' }, 'address.zip': 75000 });
+        let res = builder.toSQL();
+        configure({ JSON_PATH_STYLE: 'function' });
+        if (res.sql === "DELETE FROM `profiles` WHERE (`address`->>'$.city' <> ? OR (`address`->'$.city' IS NULL OR JSON_TYPE(`address`->'$.city') = 'NULL')) AND `address`->'$.zip' = ?") {
+            logSuccess("✔ Test 58 - 箭头 JSON 路径通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 58 - 箭头 JSON 路径失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) { configure({ JSON_PATH_STYLE: 'function' }); logFailure("X Test 58 出错：", e); failedTests++; }
+
+    // ------------------------- NULL 语义 -------------------------
+
+    // Test 59: null 相等与 $ne: null
+    try {
+        const builder = new MongoQueryBuilder('users');
+        builder.query({ deletedAt: null, email: { $ne: null }, 'address.city': null });
+        let res = builder.toSQL();
+        const profile = new MongoQueryBuilder('profiles').query({ 'address.city': { $eq: null } }).toSQL();
+        if (res.sql === "SELECT * FROM `users` WHERE `deletedAt` IS NULL AND `email` IS NOT NULL AND `address`.`city` IS NULL"
+            && res.params.length === 0
+            && profile.sql === "SELECT * FROM `profiles` WHERE (JSON_EXTRACT(`address`, '$.city') IS NULL OR JSON_TYPE(JSON_EXTRACT(`address`, '$.city')) = 'NULL')") {
+            logSuccess("✔ Test 59 - null 相等查询通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 59 - null 相等查询失败", res.sql + " | " + profile.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 59 出错：", e); failedTests++; }
+
+    // Test 60: $in / $nin 列表包含 null，$ne 非空值同时匹配 NULL
+    try {
+        const builder = new MongoQueryBuilder('users');
+        builder.query({ role: { $in: ['admin', null] }, status: { $nin: ['banned', null] }, name: { $ne: 'bob' } });
+        let res = builder.toSQL();
+        if (res.sql === "SELECT * FROM `users` WHERE (`role` IN (?) OR `role` IS NULL) AND (`status` NOT IN (?) AND `status` IS NOT NULL) AND (`name` <> ? OR `name` IS NULL)"
+            && JSON.stringify(res.params) === JSON.stringify(['admin', 'banned', 'bob'])) {
+            logSuccess("✔ Test 60 - $in / $nin / $ne NULL 语义通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 60 - $in / $nin / $ne NULL 语义失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 60 出错：", e); failedTests++; }
+
+    // Test 61: 关闭 Mongo NULL 语义，使用严格 SQL 三值逻辑
+    try {
+        configure({ NULL_SEMANTICS: 'sql' });
+        const builder = new MongoQueryBuilder('users');
+        builder.query({ name: { $ne: 'bob' }, age: { $nin: [1, 2] }, deletedAt: null });
+        let res = builder.toSQL();
+        configure({ NULL_SEMANTICS: 'mongo' });
+        if (res.sql === "SELECT * FROM `users` WHERE `name` <> ? AND `age` NOT IN (?, ?) AND `deletedAt` IS NULL") {
+            logSuccess("✔ Test 61 - SQL NULL 语义通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 61 - SQL NULL 语义失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) { configure({ NULL_SEMANTICS: 'mongo' }); logFailure("X Test 61 出错：", e); failedTests++; }
+
+    // ------------------------- 字段级 $not -------------------------
+
+    // Test 62: $not 包裹操作符表达式与正则，NULL / 缺失字段同样匹配
+    try {
+        const builder = new MongoQueryBuilder('users');
+        builder.query({ age: { $not: { $gt: 5, $lt: 10 } }, name: { $not: /^a/ }, email: { $not: { $exists: true } } });
+        let res = builder.toSQL();
+        if (res.sql === "SELECT * FROM `users` WHERE (`age` > ? AND `age` < ?) IS NOT TRUE AND (REGEXP_LIKE(`name`, ?, 'c')) IS NOT TRUE AND (`email` IS NOT NULL) IS NOT TRUE"
+            && JSON.stringify(res.params) === JSON.stringify([5, 10, '^a'])) {
+            logSuccess("✔ Test 62 - $not 操作符通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 62 - $not 操作符失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 62 出错：", e); failedTests++; }
+
+    // Test 63: SQL NULL 语义下 $not 生成 NOT (...)，非法 $not 值报错
+    try {
+        configure({ NULL_SEMANTICS: 'sql' });
+        const res = new MongoQueryBuilder('users').query({ role: { $not: { $in: ['a', 'b'] } } }).toSQL();
+        configure({ NULL_SEMANTICS: 'mongo' });
+        let rejected = false;
+        try {
+            new MongoQueryBuilder('users').query({ age: { $not: 5 } }).toSQL();
+        } catch (e) { rejected = e instanceof QueryParseError; }
+        if (res.sql === "SELECT * FROM `users` WHERE NOT (`role` IN (?, ?))" && rejected) {
+            logSuccess("✔ Test 63 - $not SQL 语义与校验通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 63 - $not SQL 语义与校验失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) { configure({ NULL_SEMANTICS: 'mongo' }); logFailure("X Test 63 出错：", e); failedTests++; }
+
+    // ------------------------- 正则表达式 -------------------------
+
+    // Test 64: RegExp 字面量与 $regex + $options 编译为 REGEXP_LIKE
+    try {
+        const builder = new MongoQueryBuilder('users');
+        builder.query({ name: /john/i, bio: { $regex: '^a b # 注释\n c', $options: 'xms' }, tag: { $in: [/^vip/, 'gold'] } });
+        let res = builder.toSQL();
+        if (res.sql === "SELECT * FROM `users` WHERE REGEXP_LIKE(`name`, ?, 'i') AND REGEXP_LIKE(`bio`, ?, 'cmn') AND (`tag` IN (?) OR REGEXP_LIKE(`tag`, ?, 'c'))"
+            && JSON.stringify(res.params) === JSON.stringify(['john', '^abc', 'gold', '^vip'])) {
+            logSuccess("✔ Test 64 - 正则查询通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 64 - 正则查询失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 64 出错：", e); failedTests++; }
+
+    // Test 65: JS 专有语法转换为 ICU，无法表达的结构报错
+    try {
+        const res = new MongoQueryBuilder('users').query({ name: { $regex: 'a[^]b\\u{1F600}(?P<x>c)', $options: 'u' } }).toSQL();
+        let rejected = 0;
+        ['(?R)', '(?<=a+)b', 'a\\Kb'].forEach(pattern => {
+            try {
+                new MongoQueryBuilder('users').query({ name: { $regex: pattern } }).toSQL();
+            } catch (e) { if (e instanceof QueryParseError) rejected++; }
+        });
+        if (res.params[0] === "a[\\s\\S]b\\x{1F600}(?<x>c)" && rejected === 3) {
+            logSuccess("✔ Test 65 - 正则语法转换通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 65 - 正则语法转换失败", res.params[0] + " rejected=" + rejected);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 65 出错：", e); failedTests++; }
+
+    // Test 66: 锚定前缀正则改写为 LIKE
+    try {
+        configure({ REGEX_PREFIX_TO_LIKE: true });
+        const builder = new MongoQueryBuilder('users');
+        builder.query({ name: /^jo_hn/i, code: /^AB\d+/ });
+        let res = builder.toSQL();
+        configure({ REGEX_PREFIX_TO_LIKE: false });
+        if (res.sql === "SELECT * FROM `users` WHERE REGEXP_LIKE(`name`, ?, 'i') AND (`code` LIKE ? AND REGEXP_LIKE(`code`, ?, 'c'))"
+            && JSON.stringify(res.params) === JSON.stringify(['^jo_hn', 'AB%', '^AB\\d+'])) {
+            logSuccess("✔ Test 66 - 前缀正则改写 LIKE 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 66 - 前缀正则改写 LIKE 失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) { configure({ REGEX_PREFIX_TO_LIKE: false }); logFailure("X Test 66 出错：", e); failedTests++; }
+
+    // Test 67: $expr 字段间比较与算术表达式
+    try {
+        const builder = new MongoQueryBuilder('orders');
+        builder.query({ status: 'open', $expr: { $lt: ['$shipped_qty', '$ordered_qty'] } });
+        let res = builder.toSQL();
+        const builder2 = new MongoQueryBuilder('orders');
+        builder2.query({ $expr: { $gt: [{ $multiply: ['$price', '$qty'] }, 1000] } });
+        let res2 = builder2.toSQL();
+        if (res.sql === "SELECT * FROM `orders` WHERE `status` = ? AND `shipped_qty` < `ordered_qty`"
+            && res2.sql === "SELECT * FROM `orders` WHERE (`price` * `qty`) > ?"
+            && JSON.stringify(res2.params) === JSON.stringify([1000])) {
+            logSuccess("✔ Test 67 - $expr 字段比较与算术 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 67 - $expr 字段比较与算术 失败", res.sql + " | " + res2.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 67 出错：", e); failedTests++; }
+
+    // Test 68: $expr 中的 $cond、$ifNull、$concat、$toLower 及 $or
+    try {
+        const builder = new MongoQueryBuilder('users');
+        builder.query({
+            $expr: {
+                $or: [
+                    { $eq: [{ $toLower: { $concat: ['$first', ' ', '$last'] } }, 'john doe'] },
+                    { $gte: [{ $cond: [{ $gt: ['$vip', 0] }, '$score', { $ifNull: ['$base', 0] }] }, 10] }
+                ]
+            }
+        });
+        let res = builder.toSQL();
+        if (res.sql === "SELECT * FROM `users` WHERE ((LOWER(CONCAT(`first`, ?, `last`)) <=> ?) OR (CASE WHEN (`vip` > ?) THEN `score` ELSE COALESCE(`base`, ?) END >= ?))"
+            && JSON.stringify(res.params) === JSON.stringify([' ', 'john doe', 0, 0, 10])) {
+            logSuccess("✔ Test 68 - $expr 条件与字符串表达式 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 68 - $expr 条件与字符串表达式 失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 68 出错：", e); failedTests++; }
+
+    // Test 69: $expr 用于更新、删除与聚合 $match，未知操作符报错
+    try {
+        const update = new MongoUpdateBuilder('orders')
+            .query({ $expr: { $lt: ['$shipped_qty', '$ordered_qty'] } })
+            .update({ status: 'partial' })
+            .toSQL();
+        const del = new MongoDeleteBuilder('orders')
+            .query({ $expr: { $eq: [{ $mod: ['$id', 2] }, 0] } })
+            .toSQL();
+        const agg = new MongoAggregationBuilder('orders')
+            .match({ $expr: { $gt: ['$total', '$paid'] } })
+            .toSQL();
+        let threw = false;
+        try {
+            new MongoQueryBuilder('orders').query({ $expr: { $foo: ['$a', 1] } }).toSQL();
+        } catch (err) {
+            threw = err instanceof QueryParseError;
+        }
+        if (update.sql === "UPDATE `orders` SET `status` = ? WHERE `shipped_qty` < `ordered_qty`"
+            && del.sql === "DELETE FROM `orders` WHERE MOD(`id`, ?) <=> ?"
+            && agg.sql === "SELECT * FROM `orders` WHERE `total` > `paid`"
+            && threw) {
+            logSuccess("✔ Test 69 - $expr 用于更新、删除与聚合 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 69 - $expr 用于更新、删除与聚合 失败", [update.sql, del.sql, agg.sql, threw].join(" | "));
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 69 出错：", e); failedTests++; }
+
+    // Test 70: $text 编译为 MATCH ... AGAINST，textScore 用于投影与排序
+    try {
+        registerTableSchema('products', { textColumns: ['name', 'description'] });
+        const builder = new MongoQueryBuilder('products');
+        builder.query({ status: 'on_sale', $text: { $search: 'red shoes -leather "exact phrase"' } })
+            .project({ name: 1, score: { $meta: 'textScore' } })
+            .sort({ score: { $meta: 'textScore' } })
+            .limit(10);
+        let res = builder.toSQL();
+        const match = "MATCH(`name`, `description`) AGAINST(? IN BOOLEAN MODE)";
+        const search = '+"exact phrase" red shoes -leather';
+        if (res.sql === `SELECT \`name\`, ${match} AS \`score\` FROM \`products\` WHERE \`status\` = ? AND ${match} ORDER BY ${match} DESC LIMIT 10`
+            && JSON.stringify(res.params) === JSON.stringify([search, 'on_sale', search, search])) {
+            logSuccess("✔ Test 70 - $text 全文检索与 textScore 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 70 - $text 全文检索与 textScore 失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 70 出错：", e); failedTests++; }
+
+    // Test 71: 未声明全文检索列、$caseSensitive、缺少 $text 的 textScore 均报错
+    try {
+        const cases = [
+            () => new MongoQueryBuilder('users').query({ $text: { $search: 'john' } }).toSQL(),
+            () => new MongoQueryBuilder('products').query({ $text: { $search: 'john', $caseSensitive: true } }).toSQL(),
+            () => new MongoQueryBuilder('products').sort({ score: { $meta: 'textScore' } }).toSQL()
+        ];
+        const allThrow = cases.every(run => {
+            try { run(); return false; } catch (err) { return err instanceof QueryParseError; }
+        });
+        if (allThrow) {
+            logSuccess("✔ Test 71 - $text 非法用法报错 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 71 - $text 非法用法报错 失败", "未抛出 QueryParseError");
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 71 出错：", e); failedTests++; }
+
+    // Test 72: $type 在 JSON 路径上编译为 JSON_TYPE，支持别名、数字代码与数组形式
+    try {
+        const builder = new MongoQueryBuilder('shipments');
+        builder.query({ 'meta.amount': { $type: 'string' }, 'meta.qty': { $type: [16, 'double'] } });
+        let res = builder.toSQL();
+        if (res.sql === "SELECT * FROM `shipments` WHERE JSON_TYPE(JSON_EXTRACT(`meta`, '$.amount')) = 'STRING' AND JSON_TYPE(JSON_EXTRACT(`meta`, '$.qty')) IN ('INTEGER', 'UNSIGNED INTEGER', 'DOUBLE')"
+            && res.params.length === 0) {
+            logSuccess("✔ Test 72 - $type JSON 路径 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 72 - $type JSON 路径 失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 72 出错：", e); failedTests++; }
+
+    // Test 73: $type 在普通列上：已声明类型静态判断，未声明时按值判断，无法区分的类型报错
+    try {
+        registerTableSchema('ledger', { columns: { qty: 'int', note: 'varchar(255)' } });
+        const builder = new MongoQueryBuilder('ledger');
+        builder.query({ qty: { $type: 'number' }, note: { $type: ['int', 'null'] }, amount: { $type: 'string' } });
+        let res = builder.toSQL();
+        let threw = false;
+        try {
+            new MongoQueryBuilder('ledger').query({ amount: { $type: 'bool' } }).toSQL();
+        } catch (err) {
+            threw = err instanceof QueryParseError;
+        }
+        if (res.sql === "SELECT * FROM `ledger` WHERE `qty` IS NOT NULL AND `note` IS NULL AND NOT REGEXP_LIKE(`amount`, '^[+-]?([0-9]+[.]?[0-9]*|[.][0-9]+)([eE][+-]?[0-9]+)?$')"
+            && threw) {
+            logSuccess("✔ Test 73 - $type 普通列 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 73 - $type 普通列 失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 73 出错：", e); failedTests++; }
+
+    // Test 74: $elemMatch 编译为 JSON_TABLE + EXISTS，内部条件复用完整操作符
+    try {
+        const builder = new MongoQueryBuilder('profiles');
+        builder.query({ items: { $elemMatch: { qty: { $gt: 5 }, sku: 'A' } } });
+        let res = builder.toSQL();
+        if (res.sql === "SELECT * FROM `profiles` WHERE EXISTS (SELECT 1 FROM JSON_TABLE(`items`, '$[*]' COLUMNS(`value` JSON PATH '$')) AS `e` WHERE JSON_EXTRACT(`e`.`value`, '$.qty') > ? AND JSON_UNQUOTE(JSON_EXTRACT(`e`.`value`, '$.sku')) = ?)"
+            && JSON.stringify(res.params) === JSON.stringify([5, 'A'])) {
+            logSuccess("✔ Test 74 - $elemMatch 子文档数组 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 74 - $elemMatch 子文档数组 失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 74 出错：", e); failedTests++; }
+
+    // Test 75: $elemMatch 内的 $or、嵌套 $elemMatch 与标量数组操作符
+    try {
+        const builder = new MongoQueryBuilder('profiles');
+        builder.query({
+            items: { $elemMatch: { $or: [{ sku: 'A' }, { sku: 'B' }], tags: { $elemMatch: { $in: ['sale', 'new'] } } } },
+            'address.scores': { $elemMatch: { $gte: 80, $lt: 85 } }
+        });
+        let res = builder.toSQL();
+        const expected = "SELECT * FROM `profiles` WHERE "
+            + "EXISTS (SELECT 1 FROM JSON_TABLE(`items`, '$[*]' COLUMNS(`value` JSON PATH '$')) AS `e` WHERE "
+            + "(JSON_UNQUOTE(JSON_EXTRACT(`e`.`value`, '$.sku')) = ? OR JSON_UNQUOTE(JSON_EXTRACT(`e`.`value`, '$.sku')) = ?) AND "
+            + "EXISTS (SELECT 1 FROM JSON_TABLE(JSON_EXTRACT(`e`.`value`, '$.tags'), '$[*]' COLUMNS(`value` JSON PATH '$')) AS `e1` WHERE "
+            + "JSON_UNQUOTE(JSON_EXTRACT(`e1`.`value`, '$')) IN (?, ?))) AND "
+            + "EXISTS (SELECT 1 FROM JSON_TABLE(JSON_EXTRACT(`address`, '$.scores'), '$[*]' COLUMNS(`value` JSON PATH '$')) AS `e` WHERE "
+            + "JSON_EXTRACT(`e`.`value`, '$') >= ? AND JSON_EXTRACT(`e`.`value`, '$') < ?)";
+        if (res.sql === expected
+            && JSON.stringify(res.params) === JSON.stringify(['A', 'B', 'sale', 'new', 80, 85])) {
+            logSuccess("✔ Test 75 - $elemMatch 嵌套与标量数组 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 75 - $elemMatch 嵌套与标量数组 失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 75 出错：", e); failedTests++; }
+
+    // Test 76: JSON 数组列的等值、$in 与整体数组匹配
+    try {
+        registerTableSchema('posts', { arrayColumns: ['tags'] });
+        const builder = new MongoQueryBuilder('posts');
+        builder.query({ tags: 'red', labels: ['a', 'b'] });
+        let res = builder.toSQL();
+        const builder2 = new MongoQueryBuilder('posts');
+        builder2.query({ tags: { $in: ['red', 'blue'] } });
+        let res2 = builder2.toSQL();
+        const builder3 = new MongoQueryBuilder('posts');
+        builder3.query({ tags: ['red', 'blue'] });
+        let res3 = builder3.toSQL();
+        if (res.sql === "SELECT * FROM `posts` WHERE ? MEMBER OF(`tags`) AND `labels` = ?"
+            && res2.sql === "SELECT * FROM `posts` WHERE JSON_OVERLAPS(`tags`, CAST(? AS JSON))"
+            && JSON.stringify(res2.params) === JSON.stringify(['["red","blue"]'])
+            && res3.sql === "SELECT * FROM `posts` WHERE `tags` = CAST(? AS JSON)") {
+            logSuccess("✔ Test 76 - JSON 数组列等值与 $in 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 76 - JSON 数组列等值与 $in 失败", [res.sql, res2.sql, res3.sql].join(" | "));
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 76 出错：", e); failedTests++; }
+
+    // Test 77: JSON 数组列的 $ne / $nin 否定形式与元素比较
+    try {
+        const builder = new MongoQueryBuilder('posts');
+        builder.query({ tags: { $ne: 'red', $nin: ['x', null] } });
+        let res = builder.toSQL();
+        const builder2 = new MongoQueryBuilder('posts');
+        builder2.query({ tags: { $gt: 'm' } });
+        let res2 = builder2.toSQL();
+        if (res.sql === "SELECT * FROM `posts` WHERE ((? MEMBER OF(`tags`)) IS NOT TRUE AND (JSON_OVERLAPS(`tags`, CAST(? AS JSON)) OR `tags` IS NULL) IS NOT TRUE)"
+            && JSON.stringify(res.params) === JSON.stringify(['red', '["x"]'])
+            && res2.sql === "SELECT * FROM `posts` WHERE EXISTS (SELECT 1 FROM JSON_TABLE(`tags`, '$[*]' COLUMNS(`value` JSON PATH '$')) AS `e` WHERE JSON_UNQUOTE(JSON_EXTRACT(`e`.`value`, '$')) > ?)") {
+            logSuccess("✔ Test 77 - JSON 数组列否定形式与元素比较 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 77 - JSON 数组列否定形式与元素比较 失败", res.sql + " | " + res2.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 77 出错：", e); failedTests++; }
+
+    // Test 78: $near 编译为 ST_Distance_Sphere 距离范围，并按距离排序
+    try {
+        const point = { type: 'Point', coordinates: [-73.97, 40.77] };
+        const builder = new MongoQueryBuilder('stores');
+        builder.query({ open: true, location: { $near: { $geometry: point, $minDistance: 100, $maxDistance: 5000 } } }).limit(10);
+        let res = builder.toSQL();
+        const distance = "ST_Distance_Sphere(`location`, ST_GeomFromGeoJSON(?))";
+        const geo = JSON.stringify(point);
+        if (res.sql === `SELECT * FROM \`stores\` WHERE \`open\` = ? AND ${distance} BETWEEN ? AND ? ORDER BY ${distance} ASC LIMIT 10`
+            && JSON.stringify(res.params) === JSON.stringify([true, geo, 100, 5000, geo])) {
+            logSuccess("✔ Test 78 - $near 距离查询与排序 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 78 - $near 距离查询与排序 失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 78 出错：", e); failedTests++; }
+
+    // Test 79: $geoWithin（$box、$centerSphere、GeoJSON）与 $geoIntersects
+    try {
+        const builder = new MongoQueryBuilder('stores');
+        builder.query({
+            location: { $geoWithin: { $box: [[0, 0], [2, 1]] } },
+            area: { $geoIntersects: { $geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] } } },
+            depot: { $geoWithin: { $centerSphere: [[1, 2], 0.01] } }
+        });
+        let res = builder.toSQL();
+        if (res.sql === "SELECT * FROM `stores` WHERE ST_Within(`location`, ST_GeomFromGeoJSON(?)) AND ST_Intersects(`area`, ST_GeomFromGeoJSON(?)) AND ST_Distance_Sphere(`depot`, ST_GeomFromGeoJSON(?)) <= ?"
+            && res.params[0] === JSON.stringify({ type: 'Polygon', coordinates: [[[0, 0], [2, 0], [2, 1], [0, 1], [0, 0]]] })
+            && res.params[3] === 63781) {
+            logSuccess("✔ Test 79 - $geoWithin 与 $geoIntersects 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 79 - $geoWithin 与 $geoIntersects 失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 79 出错：", e); failedTests++; }
+
+    // Test 80: 位运算操作符支持数值掩码与位序号数组
+    try {
+        const builder = new MongoQueryBuilder('users');
+        builder.query({
+            permissions: { $bitsAllSet: [0, 3], $bitsAnyClear: 2 },
+            flags: { $bitsAnySet: 6, $bitsAllClear: [4] }
+        });
+        let res = builder.toSQL();
+        if (res.sql === "SELECT * FROM `users` WHERE ((`permissions` & ?) = ? AND (`permissions` & ?) <> ?) AND ((`flags` & ?) <> 0 AND (`flags` & ?) = 0)"
+            && JSON.stringify(res.params) === JSON.stringify([9, 9, 2, 2, 6, 16])) {
+            logSuccess("✔ Test 80 - $bits* 位运算操作符 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 80 - $bits* 位运算操作符 失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 80 出错：", e); failedTests++; }
+
+    // Test 81: $mod 编译为 MOD(field, ?) = ?，除数为 0 时报错
+    try {
+        const builder = new MongoQueryBuilder('users');
+        builder.query({ id: { $mod: [4, 1] } });
+        let res = builder.toSQL();
+        let threw = false;
+        try {
+            new MongoQueryBuilder('users').query({ id: { $mod: [0, 1] } }).toSQL();
+        } catch (err) {
+            threw = err instanceof QueryParseError;
+        }
+        if (res.sql === "SELECT * FROM `users` WHERE MOD(`id`, ?) = ?"
+            && JSON.stringify(res.params) === JSON.stringify([4, 1]) && threw) {
+            logSuccess("✔ Test 81 - $mod 取模 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 81 - $mod 取模 失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 81 出错：", e); failedTests++; }
+
+    // Test 82: 排序支持文档、[field, direction] 数组与 JSON 路径（null 排在升序最前）
+    try {
+        const builder = new MongoQueryBuilder('users');
+        builder.query({ active: true }).sort({ age: -1, username: 1 });
+        let res = builder.toSQL();
+        const builder2 = new MongoQueryBuilder('profiles');
+        builder2.sort([['address.zip', 'asc'], ['name', -1]]);
+        let res2 = builder2.toSQL();
+        const zip = "JSON_EXTRACT(`address`, '$.zip')";
+        if (res.sql === "SELECT * FROM `users` WHERE `active` = ? ORDER BY `age` DESC, `username` ASC"
+            && res2.sql === `SELECT * FROM \`profiles\` WHERE 1=1 ORDER BY (${zip} IS NULL OR JSON_TYPE(${zip}) = 'NULL') DESC, ${zip} ASC, \`name\` DESC`) {
+            logSuccess("✔ Test 82 - 文档与数组形式排序 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 82 - 文档与数组形式排序 失败", res.sql + " | " + res2.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 82 出错：", e); failedTests++; }
+
+    // Test 83: 非法排序方向与排序字段报错
+    try {
+        const cases = [
+            () => new MongoQueryBuilder('users').sort({ age: 2 }).toSQL(),
+            () => new MongoQueryBuilder('users').sort([['age']]).toSQL(),
+            () => new MongoQueryBuilder('users').sort({ 'age; DROP TABLE users': 1 }).toSQL()
+        ];
+        const allThrow = cases.every(run => {
+            try { run(); return false; } catch (err) { return err instanceof QueryParseError; }
+        });
+        if (allThrow) {
+            logSuccess("✔ Test 83 - 非法排序参数报错 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 83 - 非法排序参数报错 失败", "未抛出 QueryParseError");
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 83 出错：", e); failedTests++; }
+
+    // Test 84: 包含投影与计算字段、JSON 路径别名
+    try {
+        const builder = new MongoQueryBuilder('profiles');
+        builder.query({ age: { $gte: 18 } }).project({
+            name: 1,
+            _id: 0,
+            fullName: { $concat: ['$first', ' ', '$last'] },
+            'address.city': 1,
+            zip: '$address.zip'
+        });
+        let res = builder.toSQL();
+        if (res.sql === "SELECT `name`, CONCAT(`first`, ?, `last`) AS `fullName`, JSON_UNQUOTE(JSON_EXTRACT(`address`, '$.city')) AS `address_city`, JSON_UNQUOTE(JSON_EXTRACT(`address`, '$.zip')) AS `zip` FROM `profiles` WHERE `age` >= ?"
+            && JSON.stringify(res.params) === JSON.stringify([' ', 18])) {
+            logSuccess("✔ Test 84 - 包含投影与计算字段 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 84 - 包含投影与计算字段 失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 84 出错：", e); failedTests++; }
+
+    // Test 85: 排除投影使用声明的列清单，未声明或混用时报错
+    try {
+        registerTableSchema('accounts', { columns: { id: 'int', name: 'varchar(64)', password: 'varchar(255)', profile: 'json' } });
+        const builder = new MongoQueryBuilder('accounts');
+        builder.query({ id: 1 }).project({ password: 0, 'profile.ssn': 0 });
+        let res = builder.toSQL();
+        const cases = [
+            () => new MongoQueryBuilder('users').project({ password: 0 }).toSQL(),
+            () => new MongoQueryBuilder('accounts').project({ name: 1, password: 0 }).toSQL()
+        ];
+        const allThrow = cases.every(run => {
+            try { run(); return false; } catch (err) { return err instanceof QueryParseError; }
+        });
+        if (res.sql === "SELECT `id`, `name`, JSON_REMOVE(`profile`, '$.ssn') AS `profile` FROM `accounts` WHERE `id` = ?" && allThrow) {
+            logSuccess("✔ Test 85 - 排除投影 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 85 - 排除投影 失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 85 出错：", e); failedTests++; }
+
+    // Test 86: 投影 $slice 转为 JSON 路径范围
+    try {
+        const builder = new MongoQueryBuilder('profiles');
+        builder.query({ id: 7 }).project({ name: 1, items: { $slice: -5 }, 'address.history': { $slice: [2, 3] } });
+        let res = builder.toSQL();
+        const builder2 = new MongoQueryBuilder('profiles');
+        builder2.project({ items: { $slice: 3 } });
+        let res2 = builder2.toSQL();
+        if (res.sql === "SELECT `name`, JSON_EXTRACT(`items`, '$[last-4 to last]') AS `items`, JSON_EXTRACT(`address`, '$.history[2 to 4]') AS `address_history` FROM `profiles` WHERE `id` = ?"
+            && res2.sql === "SELECT *, JSON_EXTRACT(`items`, '$[0 to 2]') AS `items` FROM `profiles` WHERE 1=1") {
+            logSuccess("✔ Test 86 - 投影 $slice 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 86 - 投影 $slice 失败", res.sql + " | " + res2.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 86 出错：", e); failedTests++; }
+
+    // Test 87: 投影 $elemMatch 返回第一个匹配元素，普通列上使用报错
+    try {
+        const builder = new MongoQueryBuilder('profiles');
+        builder.query({ id: 7 }).project({ name: 1, items: { $elemMatch: { sku: 'A' } } });
+        let res = builder.toSQL();
+        let threw = false;
+        try {
+            new MongoQueryBuilder('profiles').project({ name: { $slice: 2 } }).toSQL();
+        } catch (err) {
+            threw = err instanceof QueryParseError;
+        }
+        if (res.sql === "SELECT `name`, (SELECT JSON_ARRAY(`e`.`value`) FROM JSON_TABLE(`items`, '$[*]' COLUMNS(`idx` FOR ORDINALITY, `value` JSON PATH '$')) AS `e` WHERE JSON_UNQUOTE(JSON_EXTRACT(`e`.`value`, '$.sku')) = ? ORDER BY `e`.`idx` LIMIT 1) AS `items` FROM `profiles` WHERE `id` = ?"
+            && JSON.stringify(res.params) === JSON.stringify(['A', 7]) && threw) {
+            logSuccess("✔ Test 87 - 投影 $elemMatch 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 87 - 投影 $elemMatch 失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 87 出错：", e); failedTests++; }
+
+    // Test 88: countDocuments 与 estimatedDocumentCount
+    try {
+        const builder = new MongoQueryBuilder('users').query({ active: true });
+        const plain = builder.countDocuments();
+        const limited = builder.countDocuments({ age: { $gte: 18 } }, { limit: 100, skip: 10 });
+        const estimated = new MongoQueryBuilder('users').estimatedDocumentCount();
+        if (plain.sql === "SELECT COUNT(*) AS `count` FROM `users` WHERE `active` = ?"
+            && limited.sql === "SELECT COUNT(*) AS `count` FROM (SELECT 1 FROM `users` WHERE `active` = ? AND `age` >= ? LIMIT 100 OFFSET 10) AS `matched`"
+            && JSON.stringify(limited.params) === JSON.stringify([true, 18])
+            && estimated.sql === "SELECT TABLE_ROWS AS `count` FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?"
+            && JSON.stringify(estimated.params) === JSON.stringify(['users'])
+            && JSON.stringify(builder.filter) === JSON.stringify({ active: true })) {
+            logSuccess("✔ Test 88 - countDocuments 与 estimatedDocumentCount 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 88 - countDocuments 与 estimatedDocumentCount 失败", [plain.sql, limited.sql, estimated.sql].join(" | "));
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 88 出错：", e); failedTests++; }
+
+    // Test 89: distinct 支持普通列、JSON 路径与 JSON 数组展开
+    try {
+        const builder = new MongoQueryBuilder('posts');
+        const plain = builder.distinct('category', { published: true });
+        const tags = builder.distinct('tags');
+        const city = new MongoQueryBuilder('profiles').distinct('address.city');
+        if (plain.sql === "SELECT DISTINCT `category` AS `value` FROM `posts` WHERE `published` = ?"
+            && tags.sql === "SELECT DISTINCT JSON_UNQUOTE(`e`.`value`) AS `value` FROM `posts` CROSS JOIN JSON_TABLE(`tags`, '$[*]' COLUMNS(`value` JSON PATH '$')) AS `e` WHERE 1=1"
+            && city.sql === "SELECT DISTINCT JSON_UNQUOTE(JSON_EXTRACT(`address`, '$.city')) AS `value` FROM `profiles` WHERE 1=1") {
+            logSuccess("✔ Test 89 - distinct 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 89 - distinct 失败", [plain.sql, tags.sql, city.sql].join(" | "));
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 89 出错：", e); failedTests++; }
+
+    // Test 90: 键集分页：首页、下一页（行值比较）与上一页（反向取数后恢复排序）
+    try {
+        const builder = new MongoQueryBuilder('orders').query({ status: 'paid' }).sort({ createdAt: -1 });
+        const first = builder.keysetPage({ limit: 20 });
+        const cursor = first.nextCursor({ id: 42, createdAt: new Date('2024-01-02T03:04:05Z') });
+        const next = builder.keysetPage({ limit: 20, after: cursor });
+        const prev = builder.keysetPage({ limit: 20, before: first.previousCursor({ id: 42, createdAt: new Date('2024-01-02T03:04:05Z') }) });
+        const keyColumns = "SELECT *, `createdAt` AS `__k0`, `orders`.`id` AS `__k1` FROM `orders`";
+        const inner = `${keyColumns} WHERE \`status\` = ? AND (\`createdAt\`, \`orders\`.\`id\`) > (?, ?) ORDER BY \`createdAt\` ASC, \`orders\`.\`id\` ASC LIMIT 20`;
+        if (first.sql === `${keyColumns} WHERE \`status\` = ? ORDER BY \`createdAt\` DESC, \`orders\`.\`id\` DESC LIMIT 20`
+            && next.sql === `${keyColumns} WHERE \`status\` = ? AND ((\`createdAt\` < ? OR \`createdAt\` IS NULL) OR (\`createdAt\` = ? AND \`orders\`.\`id\` < ?)) ORDER BY \`createdAt\` DESC, \`orders\`.\`id\` DESC LIMIT 20`
+            && next.params[1] instanceof Date && next.params[1].toISOString() === '2024-01-02T03:04:05.000Z' && next.params[3] === 42
+            && prev.sql === `SELECT * FROM (${inner}) AS \`page\` ORDER BY \`__k0\` DESC, \`__k1\` DESC`) {
+            logSuccess("✔ Test 90 - 键集分页 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 90 - 键集分页 失败", [first.sql, next.sql, prev.sql].join(" | "));
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 90 出错：", e); failedTests++; }
+
+    // Test 91: 键集分页混合排序方向展开为 OR 条件，游标与排序不匹配时报错
+    try {
+        const builder = new MongoQueryBuilder('products').sort([['price', -1], ['name', 1]]);
+        const cursor = builder.keysetPage({ limit: 10 }).nextCursor({ price: 9.5, name: 'pen', id: 3 });
+        const page = builder.keysetPage({ limit: 10, after: cursor });
+        let threw = false;
+        try {
+            new MongoQueryBuilder('products').sort({ price: 1 }).keysetPage({ limit: 10, after: cursor });
+        } catch (err) {
+            threw = err instanceof QueryParseError;
+        }
+        if (page.sql === "SELECT *, `price` AS `__k0`, `name` AS `__k1`, `products`.`id` AS `__k2` FROM `products` WHERE ((`price` < ? OR `price` IS NULL) OR (`price` = ? AND `name` > ?) OR (`price` = ? AND `name` = ? AND `products`.`id` > ?)) ORDER BY `price` DESC, `name` ASC, `products`.`id` ASC LIMIT 10"
+            && JSON.stringify(page.params) === JSON.stringify([9.5, 9.5, 'pen', 9.5, 'pen', 3]) && threw) {
+            logSuccess("✔ Test 91 - 键集分页混合方向 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 91 - 键集分页混合方向 失败", page.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 91 出错：", e); failedTests++; }
+
+    // Test 92: 深分页改写为延迟关联
+    try {
+        const res = new MongoQueryBuilder("orders")
+            .query({ status: "paid" })
+            .sort({ createdAt: -1, id: 1 })
+            .limit(20)
+            .skip(200000)
+            .deferredJoin()
+            .toSQL();
+        if (res.sql === "SELECT `orders`.* FROM `orders` INNER JOIN (SELECT `orders`.`id` AS `__pk` FROM `orders` WHERE `status` = ? ORDER BY `createdAt` DESC, `id` ASC LIMIT 20 OFFSET 200000) AS `deferred` ON `orders`.`id` = `deferred`.`__pk` ORDER BY `createdAt` DESC, `id` ASC"
+            && JSON.stringify(res.params) === JSON.stringify(["paid"])) {
+            logSuccess("✔ Test 92 - deferredJoin 深分页改写 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 92 - deferredJoin 深分页改写 失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) {
+        logFailure("X Test 92 出错：", e);
+        failedTests++;
+    }
+
+    // Test 93: OFFSET 小于阈值时保持原查询；聚合 $skip 同样支持改写
+    try {
+        const shallow = new MongoQueryBuilder("orders")
+            .query({ status: "paid" })
+            .sort({ id: 1 })
+            .limit(20)
+            .skip(20)
+            .deferredJoin()
+            .toSQL();
+        const res = new MongoAggregationBuilder("orders")
+            .match({ status: "paid" })
+            .sort({ total: -1 })
+            .skip(5000)
+            .limit(10)
+            .deferredJoin({ primaryKey: "order_id", minOffset: 100 })
+            .toSQL();
+        if (shallow.sql === "SELECT * FROM `orders` WHERE `status` = ? ORDER BY `id` ASC LIMIT 20 OFFSET 20"
+            && res.sql === "SELECT `orders`.* FROM `orders` INNER JOIN (SELECT `orders`.`order_id` AS `__pk` FROM `orders` WHERE `status` = ? ORDER BY `total` DESC LIMIT 10 OFFSET 5000) AS `deferred` ON `orders`.`order_id` = `deferred`.`__pk` ORDER BY `total` DESC") {
+            logSuccess("✔ Test 93 - deferredJoin 阈值与聚合 $skip 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 93 - deferredJoin 阈值与聚合 $skip 失败", shallow.sql + " | " + res.sql);
+            failedTests++;
+        }
+    } catch (e) {
+        logFailure("X Test 93 出错：", e);
+        failedTests++;
+    }
+
+    // Test 94: paginate window 模式单条语句附带总数
+    try {
+        const res = new MongoQueryBuilder("orders")
+            .query({ status: "paid" })
+            .sort({ id: -1 })
+            .paginate({ page: 3, pageSize: 10 });
+        const result = res.toResult([{ id: 7, __total: 25 }]);
+        if (res.sql === "SELECT *, COUNT(*) OVER() AS `__total` FROM `orders` WHERE `status` = ? ORDER BY `id` DESC LIMIT 10 OFFSET 20"
+            && JSON.stringify(result) === JSON.stringify({ items: [{ id: 7 }], total: 25, page: 3, pageSize: 10, hasNext: false })) {
+            logSuccess("✔ Test 94 - paginate window 模式 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 94 - paginate window 模式 失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) {
+        logFailure("X Test 94 出错：", e);
+        failedTests++;
+    }
+
+    // Test 95: paginate count 模式的计数语句省略 ORDER BY 与未引用、以主键关联的 LEFT JOIN
+    try {
+        registerTableSchema('shops', { primaryKey: 'id' });
+        const res = new MongoQueryBuilder("orders")
+            .query({ "u.name": "alice" })
+            .join([
+                { tableName: "users", alias: "u", joinType: "LEFT JOIN", on: { "orders.user_id": "u.id" } },
+                { tableName: "shops", joinType: "LEFT JOIN", on: { "orders.shop_id": "shops.id" } }
+            ])
+            .sort({ id: -1 })
+            .paginate({ page: 1, pageSize: 20, mode: "count" });
+        if (res.sql === "SELECT * FROM `orders` LEFT JOIN `users` AS `u` ON `orders`.`user_id` = `u`.`id`  LEFT JOIN `shops` ON `orders`.`shop_id` = `shops`.`id` WHERE `u`.`name` = ? ORDER BY `id` DESC LIMIT 20 OFFSET 0"
+            && res.countSql === "SELECT COUNT(*) AS `count` FROM `orders` LEFT JOIN `users` AS `u` ON `orders`.`user_id` = `u`.`id` WHERE `u`.`name` = ?"
+            && JSON.stringify(res.countParams) === JSON.stringify(["alice"])) {
+            logSuccess("✔ Test 95 - paginate count 模式 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 95 - paginate count 模式 失败", res.sql + " | " + res.countSql);
+            failedTests++;
+        }
+    } catch (e) {
+        logFailure("X Test 95 出错：", e);
+        failedTests++;
+    }
+
+    // Test 96: 子查询作为标量比较与 $nin 操作数，内层可为聚合
+    try {
+        const avgPrice = new MongoAggregationBuilder("products")
+            .match({ active: true })
+            .group({ _id: null, avgPrice: { $avg: "$price" } })
+            .project({ avgPrice: 1 });
+        const res = new MongoQueryBuilder("products")
+            .query({ price: { $gt: new SubQuery(avgPrice) } })
+            .query({ vendor_id: { $nin: new SubQuery(new MongoQueryBuilder("banned_vendors").project(["vendor_id"]).query({ reason: "fraud" })) } })
+            .toSQL();
+        if (res.sql === "SELECT * FROM `products` WHERE `price` > (SELECT AVG(`price`) AS `avgPrice` FROM `products` WHERE `active` = ?) AND (`vendor_id` NOT IN (SELECT `_nin`.`value` FROM (SELECT `vendor_id` FROM `banned_vendors` WHERE `reason` = ?) AS `_nin` (`value`) WHERE `_nin`.`value` IS NOT NULL) OR `vendor_id` IS NULL)"
+            && JSON.stringify(res.params) === JSON.stringify([true, "fraud"])) {
+            logSuccess("✔ Test 96 - 标量子查询与 $nin 子查询 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 96 - 标量子查询与 $nin 子查询 失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) {
+        logFailure("X Test 96 出错：", e);
+        failedTests++;
+    }
+
+    // Test 97: 顶层 EXISTS / NOT EXISTS 与相关子查询
+    try {
+        const res = new MongoQueryBuilder("users")
+            .query({
+                $exists: new SubQuery(new MongoQueryBuilder("orders").project(["id"]).query({ user_id: SubQuery.outer("id"), total: { $gt: 100 } })),
+                $notExists: new SubQuery(new MongoQueryBuilder("bans").project(["id"]).query({ user_id: SubQuery.outer("users.id") }))
+            })
+            .toSQL();
+        if (res.sql === "SELECT * FROM `users` WHERE EXISTS (SELECT `id` FROM `orders` WHERE `user_id` = `users`.`id` AND `total` > ?) AND NOT EXISTS (SELECT `id` FROM `bans` WHERE `user_id` = `users`.`id`)"
+            && JSON.stringify(res.params) === JSON.stringify([100])) {
+            logSuccess("✔ Test 97 - EXISTS / NOT EXISTS 相关子查询 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 97 - EXISTS / NOT EXISTS 相关子查询 失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) {
+        logFailure("X Test 97 出错：", e);
+        failedTests++;
+    }
+
+    // Test 98: $count / $addToSet / $stdDevPop 等累加器
+    try {
+        const res = new MongoAggregationBuilder("orders")
+            .group({ _id: "$customer_id", n: { $count: {} }, skus: { $addToSet: "$sku" }, items: { $push: "$sku" }, sd: { $stdDevPop: "$amount" } })
+            .toSQL();
+        if (res.sql === "SELECT `customer_id` AS `_id`, COUNT(*) AS `n`, (SELECT JSON_ARRAYAGG(`s`.`value`) FROM (SELECT DISTINCT `t`.`value` FROM JSON_TABLE(JSON_ARRAYAGG(`sku`), '$[*]' COLUMNS(`value` JSON PATH '$')) AS `t`) AS `s`) AS `skus`, JSON_ARRAYAGG(`sku`) AS `items`, STDDEV_POP(`amount`) AS `sd` FROM `orders` GROUP BY `customer_id`") {
+            logSuccess("✔ Test 98 - $count / $addToSet / $push / $stdDevPop 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 98 - $count / $addToSet / $push / $stdDevPop 失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) {
+        logFailure("X Test 98 出错：", e);
+        failedTests++;
+    }
+
+    // Test 99: $first / $last 按 $group 之前的 $sort 取值
+    try {
+        const res = new MongoAggregationBuilder("orders")
+            .match({ status: "paid" })
+            .sort({ createdAt: 1 })
+            .group({ _id: "$customer_id", firstAt: { $first: "$createdAt" }, lastAmount: { $last: "$amount" } })
+            .toSQL();
+        if (res.sql === "SELECT `customer_id` AS `_id`, ANY_VALUE(`__first_firstAt`) AS `firstAt`, ANY_VALUE(`__last_lastAmount`) AS `lastAmount` FROM (SELECT *, FIRST_VALUE(`createdAt`) OVER (PARTITION BY `customer_id` ORDER BY `createdAt` ASC ROWS BETWEEN UNBOUNDED PRECEDING AND UNBOUNDED FOLLOWING) AS `__first_firstAt`, LAST_VALUE(`amount`) OVER (PARTITION BY `customer_id` ORDER BY `createdAt` ASC ROWS BETWEEN UNBOUNDED PRECEDING AND UNBOUNDED FOLLOWING) AS `__last_lastAmount` FROM `orders` WHERE `status` = ?) AS `orders` GROUP BY `customer_id`"
+            && JSON.stringify(res.params) === JSON.stringify(["paid"])) {
+            logSuccess("✔ Test 99 - $first / $last 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 99 - $first / $last 失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) {
+        logFailure("X Test 99 出错：", e);
+        failedTests++;
+    }
+
+    // Test 100: 累加器操作数为表达式，_id 为日期表达式
+    try {
+        const res = new MongoAggregationBuilder("orders")
+            .match({ region: "east" })
+            .group({
+                _id: { $year: "$createdAt" },
+                revenue: { $sum: { $multiply: ["$price", "$qty"] } },
+                paidCount: { $sum: { $cond: [{ $eq: ["$status", "paid"] }, 1, 0] } }
+            })
+            .toSQL();
+        if (res.sql === "SELECT YEAR(`createdAt`) AS `_id`, SUM(`price` * `qty`) AS `revenue`, SUM(CASE WHEN (`status` <=> ?) THEN ? ELSE ? END) AS `paidCount` FROM `orders` WHERE `region` = ? GROUP BY YEAR(`createdAt`)"
+            && JSON.stringify(res.params) === JSON.stringify(["paid", 1, 0, "east"])) {
+            logSuccess("✔ Test 100 - 表达式累加器与分组键 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 100 - 表达式累加器与分组键 失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) {
+        logFailure("X Test 100 出错：", e);
+        failedTests++;
+    }
+
+    // Test 101: 复合 _id 中的表达式键
+    try {
+        const res = new MongoAggregationBuilder("orders")
+            .group({
+                _id: { customer: "$customer_id", year: { $year: "$createdAt" }, month: { $month: "$createdAt" } },
+                total: { $sum: "$amount" }
+            })
+            .toSQL();
+        if (res.sql === "SELECT `customer_id`, YEAR(`createdAt`) AS `year`, MONTH(`createdAt`) AS `month`, SUM(`amount`) AS `total` FROM `orders` GROUP BY `customer_id`, YEAR(`createdAt`), MONTH(`createdAt`)") {
+            logSuccess("✔ Test 101 - 复合 _id 表达式键 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 101 - 复合 _id 表达式键 失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) {
+        logFailure("X Test 101 出错：", e);
+        failedTests++;
+    }
+
+    // Test 102: $group 之后的 $match 编译为 HAVING
+    try {
+        const res = new MongoAggregationBuilder("orders")
+            .match({ status: "paid" })
+            .group({ _id: "$customer_id", total: { $sum: "$amount" } })
+            .match({ total: { $gt: 100 } })
+            .sort({ total: -1 })
+            .toSQL();
+        if (res.sql === "SELECT `customer_id` AS `_id`, SUM(`amount`) AS `total` FROM `orders` WHERE `status` = ? GROUP BY `customer_id` HAVING `total` > ? ORDER BY `total` DESC"
+            && JSON.stringify(res.params) === JSON.stringify(["paid", 100])) {
+            logSuccess("✔ Test 102 - $group 后的 $match 转为 HAVING 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 102 - $group 后的 $match 转为 HAVING 失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) {
+        logFailure("X Test 102 出错：", e);
+        failedTests++;
+    }
+
+    // Test 103: HAVING 中引用复合 _id 的子键
+    try {
+        const res = new MongoAggregationBuilder("orders")
+            .group({ _id: { customer: "$customer_id", year: { $year: "$createdAt" } }, n: { $count: {} } })
+            .match({ $or: [{ "_id.year": 2024 }, { "_id.customer": { $in: [1, 2] } }], n: { $gte: 2 } })
+            .toSQL();
+        if (res.sql === "SELECT `customer_id`, YEAR(`createdAt`) AS `year`, COUNT(*) AS `n` FROM `orders` GROUP BY `customer_id`, YEAR(`createdAt`) HAVING (`year` = ? OR `customer_id` IN (?, ?)) AND `n` >= ?"
+            && JSON.stringify(res.params) === JSON.stringify([2024, 1, 2, 2])) {
+            logSuccess("✔ Test 103 - HAVING 引用复合 _id 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 103 - HAVING 引用复合 _id 失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) {
+        logFailure("X Test 103 出错：", e);
+        failedTests++;
+    }
+
+    // Test 104: 管道按阶段顺序嵌套：$limit 在 $group 之前、两次 $group
+    try {
+        const limited = new MongoAggregationBuilder("orders")
+            .match({ status: "paid" })
+            .limit(100)
+            .group({ _id: "$customer_id", total: { $sum: "$amount" } })
+            .toSQL();
+        const twice = new MongoAggregationBuilder("orders")
+            .group({ _id: { customer: "$customer_id", day: "$order_date" }, daily: { $sum: "$amount" } })
+            .group({ _id: "$_id.customer", avgDaily: { $avg: "$daily" } })
+            .toSQL();
+        if (limited.sql === "SELECT `customer_id` AS `_id`, SUM(`amount`) AS `total` FROM (SELECT * FROM `orders` WHERE `status` = ? LIMIT 100) AS `orders` GROUP BY `customer_id`"
+            && twice.sql === "SELECT `customer_id` AS `_id`, AVG(`daily`) AS `avgDaily` FROM (SELECT `customer_id`, `order_date`, SUM(`amount`) AS `daily` FROM `orders` GROUP BY `customer_id`, `order_date`) AS `_stage1` GROUP BY `customer_id`") {
+            logSuccess("✔ Test 104 - $limit 先于 $group 与两次 $group 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 104 - $limit 先于 $group 与两次 $group 失败", limited.sql + " | " + twice.sql);
+            failedTests++;
+        }
+    } catch (e) {
+        logFailure("X Test 104 出错：", e);
+        failedTests++;
+    }
+
+    // Test 105: $sort -> $limit -> $lookup 保持顺序；$project 后按计算字段 $match
+    try {
+        const agg = new MongoAggregationBuilder("orders")
+            .sort({ createdAt: -1 })
+            .limit(10)
+            .lookup({ from: "users", localField: "user_id", foreignField: "id", as: "u" })
+            .project(["orders.id", "u.name"]);
+        const first = agg.toSQL();
+        const second = agg.toSQL();
+        const computed = new MongoAggregationBuilder("orders")
+            .project({ name: 1, total: { $multiply: ["$price", "$qty"] } })
+            .match({ total: { $gt: 100 } })
+            .toSQL();
+        if (first.sql === "SELECT `orders`.`id`, `u`.`name` FROM (SELECT * FROM `orders` ORDER BY `createdAt` DESC LIMIT 10) AS `orders` LEFT JOIN `users` AS `u` ON `orders`.`user_id` = `u`.`id` ORDER BY `orders`.`createdAt` DESC"
+            && second.sql === first.sql
+            && computed.sql === "SELECT * FROM (SELECT `name`, `price` * `qty` AS `total` FROM `orders`) AS `_stage1` WHERE `total` > ?"
+            && JSON.stringify(computed.params) === JSON.stringify([100])) {
+            logSuccess("✔ Test 105 - $sort/$limit/$lookup 与计算字段 $match 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 105 - $sort/$limit/$lookup 与计算字段 $match 失败", first.sql + " | " + computed.sql);
+            failedTests++;
+        }
+    } catch (e) {
+        logFailure("X Test 105 出错：", e);
+        failedTests++;
+    }
+
+    // Test 106: 管道优化：$match 前移到 $lookup 之前、相邻阶段合并、$limit 前移到 $project 之前
+    try {
+        const pushed = new MongoAggregationBuilder("orders")
+            .lookup({ from: "users", localField: "user_id", foreignField: "id", as: "u" })
+            .match({ status: "paid" })
+            .match({ "u.vip": true })
+            .project(["orders.id", "u.name"])
+            .toSQL();
+        const topN = new MongoAggregationBuilder("orders")
+            .sort({ createdAt: 1 })
+            .sort({ amount: -1 })
+            .project({ id: 1, amount: 1 })
+            .limit(20)
+            .limit(10)
+            .toSQL();
+        if (pushed.sql === "SELECT `orders`.`id`, `u`.`name` FROM `orders` LEFT JOIN `users` AS `u` ON `orders`.`user_id` = `u`.`id` WHERE `status` = ? AND `u`.`vip` = ?"
+            && JSON.stringify(pushed.params) === JSON.stringify(["paid", true])
+            && topN.sql === "SELECT `id`, `amount` FROM `orders` ORDER BY `amount` DESC LIMIT 10") {
+            logSuccess("✔ Test 106 - 管道优化：$match 前移与阶段合并 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 106 - 管道优化：$match 前移与阶段合并 失败", pushed.sql + " | " + topN.sql);
+            failedTests++;
+        }
+    } catch (e) {
+        logFailure("X Test 106 出错：", e);
+        failedTests++;
+    }
+
+    // Test 107: 管道优化：删除 $project 中未使用的字段，explainPipeline 输出优化前后的管道
+    try {
+        const agg = new MongoAggregationBuilder("orders")
+            .project({ customer_id: 1, note: 1, total: { $multiply: ["$price", "$qty"] } })
+            .group({ _id: "$customer_id", sum: { $sum: "$total" } });
+        const { before, after, rewrites } = agg.explainPipeline();
+        const optimized = agg.toSQL();
+        const plain = agg.optimize(false).toSQL();
+        if (before.length === 2 && before[0].$project.note === 1
+            && JSON.stringify(after[0]) === JSON.stringify({ $project: { customer_id: 1, total: { $multiply: ["$price", "$qty"] } } })
+            && rewrites.length === 1
+            && optimized.sql === "SELECT `customer_id` AS `_id`, SUM(`total`) AS `sum` FROM (SELECT `customer_id`, `price` * `qty` AS `total` FROM `orders`) AS `_stage1` GROUP BY `customer_id`"
+            && plain.sql === "SELECT `customer_id` AS `_id`, SUM(`total`) AS `sum` FROM (SELECT `customer_id`, `note`, `price` * `qty` AS `total` FROM `orders`) AS `_stage1` GROUP BY `customer_id`") {
+            logSuccess("✔ Test 107 - 管道优化：删除未使用的投影字段 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 107 - 管道优化：删除未使用的投影字段 失败", optimized.sql + " | " + plain.sql);
+            failedTests++;
+        }
+    } catch (e) {
+        logFailure("X Test 107 出错：", e);
+        failedTests++;
+    }
+
+    // Test 108: 未知的逻辑操作符与非整数的 limit / skip 被拒绝
+    try {
+        let rejected = 0;
+        const attempts = [
+            () => new MongoQueryBuilder('users').query({ "$x; DROP TABLE users --": [{ a: 1 }, { b: 2 }] }).toSQL(),
+            () => new MongoQueryBuilder('users').limit("1; DROP TABLE x").toSQL(),
+            () => new MongoQueryBuilder('users').skip(-1).toSQL(),
+            () => mongoToMySQL({ a: 1 }, 'users', "10; DROP TABLE users"),
+            () => mongoToMySQLWithJoinsOptimized({ a: 1 }, 'users', [], "10 OR 1=1")
+        ];
+        attempts.forEach(attempt => {
+            try {
+                attempt();
+            } catch (e) { if (e instanceof QueryParseError) rejected++; }
+        });
+        if (rejected === attempts.length) {
+            logSuccess("✔ Test 108 - 非法逻辑操作符与 limit / skip 被拒绝通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 108 - 非法逻辑操作符与 limit / skip 未被全部拒绝", rejected);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 108 出错：", e); failedTests++; }
+
+    // Test 109: 有 JOIN 时的对象投影：列加表前缀，关联表的列命名为 alias_col
+    try {
+        const res = new MongoQueryBuilder("users")
+            .join([{ tableName: 'orders', alias: 'o', joinType: 'LEFT JOIN', on: 'users.id = o.user_id' }])
+            .project({ name: 1, "o.total": 1, label: { $concat: ["$name", "-x"] } })
+            .toSQL();
+        if (res.sql === "SELECT `users`.`name`, `o`.`total` AS `o_total`, CONCAT(`name`, ?) AS `label` FROM `users` LEFT JOIN `orders` AS `o` ON `users`.`id` = `o`.`user_id` WHERE 1=1"
+            && JSON.stringify(res.params) === JSON.stringify(["-x"])) {
+            logSuccess("✔ Test 109 - JOIN 与对象投影 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 109 - JOIN 与对象投影 失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 109 出错：", e); failedTests++; }
+
+    // Test 110: 计算字段与 $elemMatch 投影的参数按列的输出顺序排列
+    try {
+        const res = new MongoQueryBuilder('profiles')
+            .project({ label: { $concat: ["$name", "-x"] }, items: { $elemMatch: { sku: 'A' } } })
+            .toSQL();
+        if (res.sql.startsWith("SELECT CONCAT(`name`, ?) AS `label`, (SELECT JSON_ARRAY(`e`.`value`)")
+            && JSON.stringify(res.params) === JSON.stringify(["-x", "A"])) {
+            logSuccess("✔ Test 110 - 投影参数顺序 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 110 - 投影参数顺序 失败", JSON.stringify(res.params));
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 110 出错：", e); failedTests++; }
+
+    // Test 111: $project 之后按已去掉的字段 $match：字段按缺失处理，不再按原表的列过滤
+    try {
+        const dropped = new MongoAggregationBuilder("orders").project({ a: 1 }).match({ b: 1 }).toSQL();
+        const noId = new MongoAggregationBuilder("orders").project({ _id: 0, a: 1 }).match({ _id: 1 }).toSQL();
+        const missing = new MongoAggregationBuilder("orders").project({ a: 1 }).match({ a: 2, b: { $exists: false } }).toSQL();
+        if (dropped.sql === "SELECT `a` FROM `orders` WHERE NULL = ?"
+            && noId.sql === "SELECT `a` FROM `orders` WHERE NULL = ?"
+            && missing.sql === "SELECT `a` FROM `orders` WHERE `a` = ? AND NULL IS NULL"
+            && JSON.stringify(missing.params) === JSON.stringify([2])) {
+            logSuccess("✔ Test 111 - 投影后按缺失字段 $match 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 111 - 投影后按缺失字段 $match 失败", dropped.sql + " | " + noId.sql + " | " + missing.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 111 出错：", e); failedTests++; }
+
+    // Test 112: 键集分页：投影不含排序字段时按内部别名恢复排序，游标值为 NULL，JSON 路径排序在首页即被拒绝
+    try {
+        const builder = new MongoQueryBuilder('users').project(['name']).sort({ age: -1 });
+        const cursor = builder.keysetPage({ limit: 5 }).previousCursor({ name: 'a', __k0: null, __k1: 7 });
+        const prev = builder.keysetPage({ limit: 5, before: cursor });
+        const next = builder.keysetPage({ limit: 5, after: cursor });
+        let threw = false;
+        try {
+            new MongoQueryBuilder('profiles').sort({ 'address.city': 1 }).keysetPage({ limit: 5 });
+        } catch (err) {
+            threw = err instanceof QueryParseError;
+        }
+        if (prev.sql === "SELECT * FROM (SELECT `name`, `age` AS `__k0`, `users`.`id` AS `__k1` FROM `users` WHERE (`age` IS NOT NULL OR (`age` IS NULL AND `users`.`id` > ?)) ORDER BY `age` ASC, `users`.`id` ASC LIMIT 5) AS `page` ORDER BY `__k0` DESC, `__k1` DESC"
+            && next.sql === "SELECT `name`, `age` AS `__k0`, `users`.`id` AS `__k1` FROM `users` WHERE (`age` IS NULL AND `users`.`id` < ?) ORDER BY `age` DESC, `users`.`id` DESC LIMIT 5"
+            && JSON.stringify(next.params) === JSON.stringify([7]) && threw) {
+            logSuccess("✔ Test 112 - 键集分页的内部排序列与 NULL 游标 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 112 - 键集分页的内部排序列与 NULL 游标 失败", prev.sql + " | " + next.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 112 出错：", e); failedTests++; }
+
+    // Test 113: paginate 计数：未限定字段属于关联表、或可能匹配多行的 LEFT JOIN 均保留
+    try {
+        registerTableSchema('invoices', { primaryKey: 'id', columns: { id: 'int', amount: 'int' } });
+        registerTableSchema('customers', { primaryKey: 'id', columns: { id: 'int', tier: 'varchar(16)' } });
+        const byTier = new MongoQueryBuilder('invoices')
+            .query({ tier: 'gold', amount: { $gt: 5 } })
+            .join([{ tableName: 'customers', alias: 'c', joinType: 'LEFT JOIN', on: 'invoices.customer_id = c.id' }])
+            .paginate({ page: 2, pageSize: 10, mode: 'count' });
+        const withLines = new MongoQueryBuilder('invoices')
+            .query({ amount: { $gt: 5 } })
+            .join([
+                { tableName: 'customers', alias: 'c', joinType: 'LEFT JOIN', on: 'invoices.customer_id = c.id' },
+                { tableName: 'invoice_lines', alias: 'l', joinType: 'LEFT JOIN', on: 'l.invoice_id = invoices.id' }
+            ])
+            .paginate({ page: 2, pageSize: 10, mode: 'count' });
+        if (byTier.countSql === "SELECT COUNT(*) AS `count` FROM `invoices` LEFT JOIN `customers` AS `c` ON `invoices`.`customer_id` = `c`.`id` WHERE `tier` = ? AND `amount` > ?"
+            && withLines.countSql === "SELECT COUNT(*) AS `count` FROM `invoices` LEFT JOIN `invoice_lines` AS `l` ON `l`.`invoice_id` = `invoices`.`id` WHERE `amount` > ?") {
+            logSuccess("✔ Test 113 - paginate 计数的 JOIN 保留 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 113 - paginate 计数的 JOIN 保留 失败", byTier.countSql + " | " + withLines.countSql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 113 出错：", e); failedTests++; }
+
+    // Test 114: $sort 之后的 $push / $mergeObjects 用窗口 JSON_ARRAYAGG 保持顺序，不经 GROUP_CONCAT
+    try {
+        const res = new MongoAggregationBuilder("orders")
+            .sort({ createdAt: 1 })
+            .group({ _id: "$customer_id", skus: { $push: "$sku" }, meta: { $mergeObjects: "$meta" } })
+            .toSQL();
+        const over = "OVER (PARTITION BY `customer_id` ORDER BY `createdAt` ASC ROWS BETWEEN UNBOUNDED PRECEDING AND UNBOUNDED FOLLOWING)";
+        if (res.sql.startsWith("SELECT `customer_id` AS `_id`, ANY_VALUE(`__push_skus`) AS `skus`, (SELECT JSON_OBJECTAGG(")
+            && res.sql.includes("FROM JSON_TABLE(ANY_VALUE(`__merge_meta`), '$[*]'")
+            && res.sql.endsWith(`FROM (SELECT *, JSON_ARRAYAGG(\`sku\`) ${over} AS \`__push_skus\`, JSON_ARRAYAGG(\`meta\`) ${over} AS \`__merge_meta\` FROM \`orders\`) AS \`orders\` GROUP BY \`customer_id\``)
+            && !res.sql.includes("GROUP_CONCAT")) {
+            logSuccess("✔ Test 114 - 有序 $push / $mergeObjects 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 114 - 有序 $push / $mergeObjects 失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 114 出错：", e); failedTests++; }
+
+    // Test 115: configure 拒绝取值不合法的配置项，且不修改其余配置
+    try {
+        let rejected = 0;
+        [{ NULL_SEMANTICS: 'strict' }, { JSON_PATH_STYLE: 'arrows' }, { JSON_PATH_STYLE: 'arrow', REGEX_PREFIX_TO_LIKE: 'yes' }].forEach(options => {
+            try {
+                configure(options);
+            } catch (e) { rejected++; }
+        });
+        const config = configure({});
+        if (rejected === 3 && config.JSON_PATH_STYLE === 'function' && config.NULL_SEMANTICS === 'mongo' && config.REGEX_PREFIX_TO_LIKE === false) {
+            logSuccess("✔ Test 115 - configure 校验配置取值 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 115 - configure 校验配置取值 失败", JSON.stringify(config));
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 115 出错：", e); failedTests++; }
+
+    // Test 116: 关联表注册的数组列以 alias.column 引用时按元素匹配
+    try {
+        const res = new MongoQueryBuilder('users')
+            .join([{ tableName: 'posts', alias: 'p', joinType: 'LEFT JOIN', on: 'users.id = p.user_id' }])
+            .query({ 'p.tags': 'red', 'p.title': 'x' })
+            .toSQL();
+        if (res.sql === "SELECT * FROM `users` LEFT JOIN `posts` AS `p` ON `users`.`id` = `p`.`user_id` WHERE ? MEMBER OF(`p`.`tags`) AND `p`.`title` = ?"
+            && JSON.stringify(res.params) === JSON.stringify(['red', 'x'])) {
+            logSuccess("✔ Test 116 - 关联表数组列 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 116 - 关联表数组列 失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 116 出错：", e); failedTests++; }
+
+    // Test 117: 聚合按投影中的计算字段排序时不改写为延迟关联
+    try {
+        const res = new MongoAggregationBuilder("orders")
+            .deferredJoin({ minOffset: 10 })
+            .project({ name: 1, total: { $multiply: ["$price", "$qty"] } })
+            .sort({ total: -1 })
+            .skip(20)
+            .limit(5)
+            .toSQL();
+        if (res.sql === "SELECT `name`, `price` * `qty` AS `total` FROM `orders` ORDER BY `total` DESC LIMIT 5 OFFSET 20") {
+            logSuccess("✔ Test 117 - 按计算字段排序时跳过延迟关联 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 117 - 按计算字段排序时跳过延迟关联 失败", res.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 117 出错：", e); failedTests++; }
+
+    // Test 118: 一对多 LEFT JOIN 时 count 与 window 模式统计同一组被分页的行
+    try {
+        const builder = () => new MongoQueryBuilder('invoices')
+            .query({ amount: { $gt: 5 } })
+            .join([{ tableName: 'invoice_lines', alias: 'l', joinType: 'LEFT JOIN', on: 'l.invoice_id = invoices.id' }])
+            .sort({ id: 1 });
+        const counted = builder().paginate({ page: 1, pageSize: 2, mode: 'count' });
+        const windowed = builder().paginate({ page: 1, pageSize: 2, mode: 'window' });
+        const from = sql => sql.substring(sql.indexOf(" FROM "), sql.indexOf(" ORDER BY ") > 0 ? sql.indexOf(" ORDER BY ") : sql.length);
+        if (counted.countSql.startsWith("SELECT COUNT(*) AS `count`")
+            && from(counted.countSql) === from(counted.sql)
+            && from(windowed.sql) === from(counted.sql)
+            && windowed.sql.includes("COUNT(*) OVER()")) {
+            logSuccess("✔ Test 118 - 一对多 LEFT JOIN 的分页总数 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 118 - 一对多 LEFT JOIN 的分页总数 失败", counted.countSql + " | " + counted.sql + " | " + windowed.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 118 出错：", e); failedTests++; }
+
+    // Test 119: $sort 之后的投影去掉了排序字段、随后按计算字段 $match：排序字段作为隐藏列带出，外层重新排序
+    try {
+        const res = new MongoAggregationBuilder("users")
+            .sort({ age: 1 })
+            .project({ name: 1, x: { $add: ["$a", 1] } })
+            .match({ x: { $gt: 5 } })
+            .toSQL();
+        const kept = new MongoAggregationBuilder("users")
+            .sort({ age: -1 })
+            .project({ name: 1, age: 1, x: { $add: ["$a", 1] } })
+            .match({ x: { $gt: 5 } })
+            .toSQL();
+        if (res.sql === "SELECT `_stage1`.`name`, `_stage1`.`x` FROM (SELECT `name`, `a` + ? AS `x`, `age` AS `__sort0` FROM `users` ORDER BY `age` ASC) AS `_stage1` WHERE `x` > ? ORDER BY `_stage1`.`__sort0` ASC"
+            && JSON.stringify(res.params) === JSON.stringify([1, 5])
+            && kept.sql === "SELECT * FROM (SELECT `name`, `age`, `a` + ? AS `x` FROM `users` ORDER BY `age` DESC) AS `_stage1` WHERE `x` > ? ORDER BY `_stage1`.`age` DESC") {
+            logSuccess("✔ Test 119 - 包装派生表时保持投影前的排序 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 119 - 包装派生表时保持投影前的排序 失败", res.sql + " | " + kept.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 119 出错：", e); failedTests++; }
+
+    // Test 120: MongoQueryBuilder 按投影中的计算字段排序时不改写为延迟关联，按原表的列排序时照常改写
+    try {
+        const byAlias = new MongoQueryBuilder("users")
+            .project({ full: { $concat: ["$first", " ", "$last"] } })
+            .sort({ full: 1 })
+            .skip(200000)
+            .limit(10)
+            .deferredJoin()
+            .toSQL();
+        const byColumn = new MongoQueryBuilder("users")
+            .project({ full: { $concat: ["$first", " ", "$last"] } })
+            .sort({ last: 1 })
+            .skip(200000)
+            .limit(10)
+            .deferredJoin()
+            .toSQL();
+        if (byAlias.sql === "SELECT CONCAT(`first`, ?, `last`) AS `full` FROM `users` WHERE 1=1 ORDER BY `full` ASC LIMIT 10 OFFSET 200000"
+            && byColumn.sql.includes("AS `deferred`")) {
+            logSuccess("✔ Test 120 - 按计算字段排序时跳过延迟关联（查询构造器） 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 120 - 按计算字段排序时跳过延迟关联（查询构造器） 失败", byAlias.sql + " | " + byColumn.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 120 出错：", e); failedTests++; }
+
+    // Test 121: 键集分页：有 JOIN 时须指定 tiebreaker，取上一页须先投影；排序字段不能是投影中的计算字段
+    try {
+        const joins = [{ tableName: 'orders', alias: 'o', joinType: 'INNER JOIN', on: 'o.user_id = users.id' }];
+        const rejects = build => {
+            try {
+                build();
+                return false;
+            } catch (err) {
+                return err instanceof QueryParseError;
+            }
+        };
+        const builder = new MongoQueryBuilder('users').join(joins).project(['name', 'o.total']).sort({ age: 1 });
+        const cursor = builder.keysetPage({ limit: 5, tiebreaker: 'o.id' }).previousCursor({ __k0: 30, __k1: 7 });
+        const prev = builder.keysetPage({ limit: 5, tiebreaker: 'o.id', before: cursor });
+        if (prev.sql === "SELECT * FROM (SELECT `users`.`name` AS `users_name`, `o`.`total` AS `o_total`, `age` AS `__k0`, `o`.`id` AS `__k1` FROM `users` INNER JOIN `orders` AS `o` ON `o`.`user_id` = `users`.`id` WHERE ((`age` < ? OR `age` IS NULL) OR (`age` = ? AND `o`.`id` < ?)) ORDER BY `age` DESC, `o`.`id` DESC LIMIT 5) AS `page` ORDER BY `__k0` ASC, `__k1` ASC"
+            && rejects(() => new MongoQueryBuilder('users').join(joins).sort({ age: 1 }).keysetPage({ limit: 5 }))
+            && rejects(() => new MongoQueryBuilder('users').join(joins).sort({ age: 1 }).keysetPage({ limit: 5, tiebreaker: 'o.id', before: cursor }))
+            && rejects(() => new MongoQueryBuilder('users').project({ full: { $concat: ['$first', '$last'] } }).sort({ full: 1 }).keysetPage({ limit: 5 }))) {
+            logSuccess("✔ Test 121 - 键集分页的 JOIN 与别名排序校验 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 121 - 键集分页的 JOIN 与别名排序校验 失败", prev.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 121 出错：", e); failedTests++; }
+
+    // Test 122: 前缀正则改写 LIKE：顶层 | 分支不提取前缀，不区分大小写时只取无大小写之分的前缀并保留 REGEXP_LIKE
+    try {
+        configure({ REGEX_PREFIX_TO_LIKE: true });
+        const alternation = new MongoQueryBuilder('users').query({ name: /^abc|xyz/ }).toSQL();
+        const grouped = new MongoQueryBuilder('users').query({ name: /^ab(c|d)/ }).toSQL();
+        const insensitive = new MongoQueryBuilder('users').query({ code: /^12-ab/i }).toSQL();
+        configure({ REGEX_PREFIX_TO_LIKE: false });
+        if (alternation.sql === "SELECT * FROM `users` WHERE REGEXP_LIKE(`name`, ?, 'c')"
+            && grouped.sql === "SELECT * FROM `users` WHERE (`name` LIKE ? AND REGEXP_LIKE(`name`, ?, 'c'))"
+            && JSON.stringify(grouped.params) === JSON.stringify(['ab%', '^ab(c|d)'])
+            && insensitive.sql === "SELECT * FROM `users` WHERE (`code` LIKE ? AND REGEXP_LIKE(`code`, ?, 'i'))"
+            && JSON.stringify(insensitive.params) === JSON.stringify(['12-%', '^12-ab'])) {
+            logSuccess("✔ Test 122 - 前缀正则的分支与大小写 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 122 - 前缀正则的分支与大小写 失败", [alternation.sql, grouped.sql, insensitive.sql].join(" | "));
+            failedTests++;
+        }
+    } catch (e) { configure({ REGEX_PREFIX_TO_LIKE: false }); logFailure("X Test 122 出错：", e); failedTests++; }
+
+    // Test 123: $group 之后的 $project 引用分组未输出的字段时报错
+    try {
+        const rejects = build => {
+            try {
+                build().toSQL();
+                return false;
+            } catch (err) {
+                return err instanceof QueryParseError;
+            }
+        };
+        const grouped = () => new MongoAggregationBuilder('orders').group({ _id: { c: '$customer_id' }, total: { $sum: '$amount' } });
+        const ok = grouped().project({ c: '$_id.c', doubled: { $multiply: ['$total', 2] } }).toSQL();
+        if (rejects(() => grouped().project(['extra']))
+            && rejects(() => grouped().project({ ratio: { $divide: ['$total', '$amount'] } }))
+            && ok.sql.startsWith("SELECT `customer_id` AS `c`, `total` * ? AS `doubled` FROM (")) {
+            logSuccess("✔ Test 123 - $group 之后投影未输出字段报错 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 123 - $group 之后投影未输出字段报错 失败", ok.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 123 出错：", e); failedTests++; }
+
+    // Test 124: 操作符插件收到原始字段名，编译后的列表达式在 options.fieldSQL 中
+    try {
+        const seen = [];
+        registerOperatorPlugin('$startsWithTest', (field, value, conditions, params, context, options) => {
+            seen.push(field);
+            conditions.push(`${options.fieldSQL} LIKE ?`);
+            params.push(value + '%');
+        });
+        const res = new MongoQueryBuilder('users').query({ name: { $startsWithTest: 'jo' } }).toSQL();
+        if (JSON.stringify(seen) === JSON.stringify(['name'])
+            && res.sql === "SELECT * FROM `users` WHERE `name` LIKE ?"
+            && JSON.stringify(res.params) === JSON.stringify(['jo%'])) {
+            logSuccess("✔ Test 124 - 操作符插件的字段参数 通过");
+            passedTests++;
+        } else {
+            logFailure("X Test 124 - 操作符插件的字段参数 失败", JSON.stringify(seen) + " | " + res.sql);
+            failedTests++;
+        }
+    } catch (e) { logFailure("X Test 124 出错：", e); failedTests++; }
+
     // ------------------------- 测试结果 -------------------------
     console.log(`\n测试结果总结:`);
     console.log(`通过的测试: ${passedTests}`);